@@ -13,7 +13,19 @@ CREATE TABLE IF NOT EXISTS uploads (
     filename VARCHAR(255) NOT NULL,
     total_size BIGINT UNSIGNED NOT NULL,
     total_chunks INT UNSIGNED NOT NULL,
-    status ENUM('UPLOADING', 'PROCESSING', 'COMPLETED', 'FAILED') DEFAULT 'UPLOADING',
+    chunk_size INT UNSIGNED NOT NULL COMMENT 'Chunk size used to compute write offsets',
+    file_hash VARCHAR(64) NULL COMMENT 'Client-declared SHA-256 of the file (resume fingerprint)',
+    upload_offset BIGINT UNSIGNED NULL COMMENT 'Contiguous bytes received (tus uploads only)',
+    upload_metadata TEXT NULL COMMENT 'Raw tus Upload-Metadata header',
+    deep_verify BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'CRC-check every ZIP entry at finalization',
+    zip_report JSON NULL COMMENT 'Per-entry deep verification report',
+    policy_violations JSON NULL COMMENT 'ZIP safety policy violations that failed the upload',
+    entry_count INT UNSIGNED NULL COMMENT 'Entries indexed in zip_entries; NULL until indexed',
+    index_token VARCHAR(36) NULL COMMENT 'Indexing attempt that owns the zip_entries rows',
+    hash_offset BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Bytes covered by hash_state, a run of chunks from the start',
+    hash_state VARBINARY(512) NULL COMMENT 'Saved SHA-256 state after hash_offset bytes (hash-wasm)',
+    status ENUM('UPLOADING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED') DEFAULT 'UPLOADING',
+    failure_reason VARCHAR(32) NULL COMMENT 'Why the upload FAILED (e.g. HASH_MISMATCH, INVALID_ZIP)',
     final_hash VARCHAR(64) NULL COMMENT 'SHA-256 hash of complete file',
     file_path VARCHAR(512) NOT NULL COMMENT 'Path to assembled file on disk',
     created_at DATETIME NULL,
@@ -22,7 +34,8 @@ CREATE TABLE IF NOT EXISTS uploads (
     
     INDEX idx_status (status),
     INDEX idx_created_at (created_at),
-    INDEX idx_status_created (status, created_at)
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_fingerprint (file_hash, total_size, status)
 ) ENGINE=InnoDB;
 
 -- ====================================================
@@ -33,9 +46,78 @@ CREATE TABLE IF NOT EXISTS chunks (
     upload_id VARCHAR(36) NOT NULL,
     chunk_index INT UNSIGNED NOT NULL,
     status ENUM('PENDING', 'SUCCESS') DEFAULT 'PENDING',
+    chunk_hash VARCHAR(64) NULL COMMENT 'SHA-256 of the chunk bytes as received',
+    byte_length INT UNSIGNED NULL COMMENT 'Chunk size in bytes as received',
     received_at DATETIME NULL,
     
     PRIMARY KEY (upload_id, chunk_index),
     FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE,
     INDEX idx_upload_status (upload_id, status)
 ) ENGINE=InnoDB;
+
+-- ====================================================
+-- Jobs Table: Durable background work (finalization)
+-- Workers claim rows with SELECT ... FOR UPDATE SKIP LOCKED;
+-- DEAD rows are the dead-letter queue
+-- ====================================================
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    type VARCHAR(32) NOT NULL,
+    upload_id VARCHAR(36) NOT NULL,
+    status ENUM('PENDING', 'RUNNING', 'COMPLETED', 'DEAD') DEFAULT 'PENDING',
+    attempts INT UNSIGNED NOT NULL DEFAULT 0,
+    max_attempts INT UNSIGNED NOT NULL,
+    run_at DATETIME NOT NULL COMMENT 'Earliest time the next attempt may start (retry backoff)',
+    locked_by VARCHAR(128) NULL COMMENT 'Worker running the job',
+    locked_until DATETIME NULL COMMENT 'Lease end; expired RUNNING jobs are reclaimed',
+    last_error TEXT NULL,
+    created_at DATETIME NULL,
+    updated_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    
+    FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE,
+    INDEX idx_claim (status, run_at),
+    INDEX idx_upload_type (upload_id, type, status)
+) ENGINE=InnoDB;
+
+-- ====================================================
+-- ZIP Entries Table: Central directory of completed uploads
+-- Indexed once at finalization so /upload/:id/contents can
+-- page, filter and sort without re-reading the archive
+-- ====================================================
+CREATE TABLE IF NOT EXISTS zip_entries (
+    upload_id VARCHAR(36) NOT NULL,
+    entry_index INT UNSIGNED NOT NULL COMMENT 'Position in the central directory',
+    name VARCHAR(4096) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL COMMENT 'Entry path; case-sensitive like the archive',
+    size BIGINT UNSIGNED NOT NULL COMMENT 'Uncompressed size',
+    compressed_size BIGINT UNSIGNED NOT NULL,
+    is_directory BOOLEAN NOT NULL DEFAULT FALSE,
+    last_modified DATETIME NULL,
+    
+    PRIMARY KEY (upload_id, entry_index),
+    FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE,
+    INDEX idx_upload_name (upload_id, name(255))
+) ENGINE=InnoDB;
+
+-- ====================================================
+-- Extractions Table: Server-side extraction of completed uploads
+-- One row per upload, replaced by each POST /upload/:id/extract
+-- ====================================================
+CREATE TABLE IF NOT EXISTS extractions (
+    upload_id VARCHAR(36) PRIMARY KEY,
+    status ENUM('QUEUED', 'EXTRACTING', 'COMPLETED', 'FAILED') NOT NULL DEFAULT 'QUEUED',
+    entry_filter JSON NULL COMMENT 'Include/exclude glob lists',
+    attempt_token VARCHAR(36) NULL COMMENT 'Job attempt that owns the extraction',
+    output_dir VARCHAR(512) NULL COMMENT 'Directory holding the extracted entries once COMPLETED',
+    total_entries INT UNSIGNED NULL,
+    extracted_entries INT UNSIGNED NOT NULL DEFAULT 0,
+    total_bytes BIGINT UNSIGNED NULL,
+    extracted_bytes BIGINT UNSIGNED NOT NULL DEFAULT 0,
+    skipped_entries INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Symbolic links, which are never extracted',
+    error TEXT NULL,
+    created_at DATETIME NULL,
+    updated_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    
+    FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
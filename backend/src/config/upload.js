@@ -0,0 +1,75 @@
+/**
+ * Upload configuration
+ * Chunk sizing is decided here so clients never have to agree on it up front
+ */
+
+require('dotenv').config();
+
+// Smallest chunk size, used for files that fit in TARGET_MAX_CHUNKS chunks
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE) || 5242880;
+
+// Upper bound for chunk size (also the multer per-chunk limit)
+const MAX_CHUNK_SIZE = parseInt(process.env.MAX_CHUNK_SIZE) || 67108864;
+
+// Large files get bigger chunks so they stay under this many chunk rows
+const TARGET_MAX_CHUNKS = parseInt(process.env.TARGET_MAX_CHUNKS) || 2000;
+
+// CRC-check every ZIP entry at finalization unless the upload says otherwise
+const DEEP_ZIP_VERIFY = process.env.DEEP_ZIP_VERIFY === 'true';
+
+// Advance a saved SHA-256 state as chunks arrive, so finalization only hashes the tail
+const INCREMENTAL_HASH = process.env.INCREMENTAL_HASH !== 'false';
+
+// ZIP safety policy applied to the central directory at finalization (utils/zipPolicy.js)
+const ZIP_POLICY = {
+  enabled: process.env.ZIP_POLICY_ENABLED !== 'false',
+  maxEntries: parseInt(process.env.ZIP_MAX_ENTRIES) || 100000,
+  maxTotalUncompressedSize: parseInt(process.env.ZIP_MAX_UNCOMPRESSED_SIZE) || 53687091200,
+  maxEntryRatio: parseInt(process.env.ZIP_MAX_ENTRY_RATIO) || 100,
+  maxTotalRatio: parseInt(process.env.ZIP_MAX_TOTAL_RATIO) || 50,
+  // Ratios are only checked from this uncompressed size; tiny files compress absurdly well
+  ratioMinSize: parseInt(process.env.ZIP_RATIO_MIN_SIZE) || 1048576,
+  allowSymlinks: process.env.ZIP_ALLOW_SYMLINKS === 'true',
+  allowEncrypted: process.env.ZIP_ALLOW_ENCRYPTED === 'true',
+  allowDuplicates: process.env.ZIP_ALLOW_DUPLICATES === 'true'
+};
+
+/**
+ * Choose the chunk size for a file
+ * Doubles CHUNK_SIZE until the chunk count fits TARGET_MAX_CHUNKS or MAX_CHUNK_SIZE is hit.
+ * Deterministic for a given size, so resuming the same file finds the same layout.
+ * @param {number} totalSize - File size in bytes
+ * @returns {number} - Chunk size in bytes
+ */
+function chooseChunkSize(totalSize) {
+  let chunkSize = CHUNK_SIZE;
+  
+  while (Math.ceil(totalSize / chunkSize) > TARGET_MAX_CHUNKS && chunkSize * 2 <= MAX_CHUNK_SIZE) {
+    chunkSize *= 2;
+  }
+  
+  return chunkSize;
+}
+
+/**
+ * Expected byte length of a chunk: chunkSize, except the last chunk which holds the remainder
+ * @param {number} totalSize - File size in bytes
+ * @param {number} chunkSize - Chunk size in bytes
+ * @param {number} chunkIndex - Zero-based chunk index
+ * @returns {number} - Length in bytes
+ */
+function getChunkLength(totalSize, chunkSize, chunkIndex) {
+  const offset = chunkIndex * chunkSize;
+  return Math.max(0, Math.min(chunkSize, totalSize - offset));
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  TARGET_MAX_CHUNKS,
+  DEEP_ZIP_VERIFY,
+  INCREMENTAL_HASH,
+  ZIP_POLICY,
+  chooseChunkSize,
+  getChunkLength
+};
@@ -0,0 +1,457 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const fileUtils = require('../utils/fileUtils');
+const hashUtils = require('../utils/hashUtils');
+const uploadService = require('../services/uploadService');
+const uploadConfig = require('../config/upload');
+
+/**
+ * tus 1.0 resumable upload protocol (https://tus.io/protocols/resumable-upload)
+ *
+ * Extensions: creation, termination, checksum, expiration.
+ * tus uploads live in the same uploads/chunks tables as /upload ones; they
+ * are told apart by a non-NULL upload_offset, the number of contiguous bytes
+ * received. Whole chunks are marked SUCCESS as the offset passes them, so
+ * the last one triggers the same finalization (hash + ZIP validation).
+ */
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,checksum,expiration';
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10737418240;
+const ABANDONED_TIMEOUT = parseInt(process.env.ABANDONED_UPLOAD_TIMEOUT) || 86400000;
+
+// Upload-Checksum algorithm names mapped to Node's crypto names
+const CHECKSUM_ALGORITHMS = {
+  sha1: 'sha1',
+  sha256: 'sha256',
+  md5: 'md5'
+};
+
+/**
+ * Reject requests from clients speaking another protocol version
+ */
+function requireTusResumable(req, res, next) {
+  res.set('Tus-Resumable', TUS_VERSION);
+  
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+  
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).end();
+  }
+  
+  next();
+}
+
+/**
+ * Some environments only allow GET/POST; tus clients then tunnel the real method
+ */
+function methodOverride(req, res, next) {
+  const override = req.get('X-HTTP-Method-Override');
+  if (override) {
+    req.method = override.toUpperCase();
+  }
+  next();
+}
+
+/**
+ * Parse Upload-Metadata ("key base64value,key2 base64value2")
+ * @param {string} header - Raw header
+ * @returns {Object|null} - Decoded key/value pairs, or null if malformed
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  
+  if (!header) {
+    return metadata;
+  }
+  
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ');
+    
+    if (!key || rest.length > 0) {
+      return null;
+    }
+    
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  
+  return metadata;
+}
+
+/**
+ * Upload-Expires for an unfinished upload, matching when cleanup will remove it
+ * @param {Object} upload - Upload row
+ * @returns {Date}
+ */
+function getExpiry(upload) {
+  const lastActivity = upload.updated_at || upload.created_at || new Date();
+  return new Date(new Date(lastActivity).getTime() + ABANDONED_TIMEOUT);
+}
+
+async function findTusUpload(id) {
+  const [uploads] = await db.query(
+    `SELECT id, filename, total_size, chunk_size, status, failure_reason, file_path,
+     upload_offset, upload_metadata, created_at, updated_at
+     FROM uploads WHERE id = ? AND upload_offset IS NOT NULL`,
+    [id]
+  );
+  
+  return uploads.length > 0 ? uploads[0] : null;
+}
+
+/**
+ * Expired, terminated or cleaned-up uploads answer 410 Gone
+ * @param {Object} upload - Upload row
+ * @returns {boolean}
+ */
+function isGone(upload) {
+  if (upload.status === 'CANCELLED') {
+    return true;
+  }
+  
+  if (upload.status === 'FAILED' && upload.failure_reason === 'ABANDONED') {
+    return true;
+  }
+  
+  return upload.status === 'UPLOADING' && getExpiry(upload) < new Date();
+}
+
+/**
+ * OPTIONS /files
+ * Advertise protocol version, extensions and limits
+ */
+function getOptions(req, res) {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(MAX_FILE_SIZE),
+    'Tus-Checksum-Algorithm': Object.keys(CHECKSUM_ALGORITHMS).join(',')
+  });
+  res.status(204).end();
+}
+
+/**
+ * POST /files (creation)
+ * Create an upload from Upload-Length and Upload-Metadata
+ */
+async function createUpload(req, res) {
+  const uploadLength = req.get('Upload-Length');
+  const totalSize = Number(uploadLength);
+  
+  if (uploadLength === undefined || !Number.isInteger(totalSize) || totalSize <= 0) {
+    return res.status(400).json({ error: 'Missing or invalid Upload-Length' });
+  }
+  
+  if (totalSize > MAX_FILE_SIZE) {
+    return res.status(413).json({ error: `Upload-Length exceeds ${MAX_FILE_SIZE} bytes` });
+  }
+  
+  const rawMetadata = req.get('Upload-Metadata');
+  const metadata = parseMetadata(rawMetadata);
+  
+  if (!metadata) {
+    return res.status(400).json({ error: 'Malformed Upload-Metadata' });
+  }
+  
+  const filename = metadata.filename || metadata.name;
+  
+  if (!filename || !filename.toLowerCase().endsWith('.zip')) {
+    return res.status(400).json({ error: 'Only ZIP files are supported (set filename in Upload-Metadata)' });
+  }
+  
+  // Optional "deepVerify true|false" metadata overrides DEEP_ZIP_VERIFY
+  const deepVerify = metadata.deepVerify === undefined
+    ? uploadConfig.DEEP_ZIP_VERIFY
+    : metadata.deepVerify === 'true';
+  
+  let connection;
+  
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    const { uploadId, filePath } = await uploadService.createUpload(connection, {
+      filename,
+      totalSize,
+      chunkSize: uploadConfig.chooseChunkSize(totalSize),
+      deepVerify,
+      uploadOffset: 0,
+      uploadMetadata: rawMetadata
+    });
+    
+    await connection.commit();
+    
+    await uploadService.allocateUploadFile({ uploadId, filePath, totalSize });
+    
+    console.log(`tus upload created: ${uploadId} (${filename}, ${totalSize} bytes)`);
+    
+    // Relative, so it stays right behind a TLS-terminating proxy; clients resolve it against the endpoint
+    res.set({
+      Location: `${req.baseUrl}/${uploadId}`,
+      'Upload-Expires': getExpiry({ created_at: new Date() }).toUTCString()
+    });
+    res.status(201).end();
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('tus upload creation failed:', error);
+    res.status(500).json({
+      error: 'Upload creation failed',
+      details: error.message
+    });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * HEAD /files/:id
+ * Report how many bytes the server has
+ */
+async function getOffset(req, res) {
+  res.set('Cache-Control', 'no-store');
+  
+  try {
+    const upload = await findTusUpload(req.params.id);
+    
+    if (!upload) {
+      return res.status(404).end();
+    }
+    
+    if (isGone(upload)) {
+      return res.status(410).end();
+    }
+    
+    res.set({
+      'Upload-Offset': String(upload.upload_offset),
+      'Upload-Length': String(upload.total_size)
+    });
+    
+    if (upload.upload_metadata) {
+      res.set('Upload-Metadata', upload.upload_metadata);
+    }
+    
+    if (upload.status === 'UPLOADING') {
+      res.set('Upload-Expires', getExpiry(upload).toUTCString());
+    }
+    
+    res.status(200).end();
+    
+  } catch (error) {
+    console.error('tus HEAD failed:', error);
+    res.status(500).end();
+  }
+}
+
+/**
+ * PATCH /files/:id
+ * Append bytes at Upload-Offset, verify Upload-Checksum, advance the offset
+ * If the client disconnects part-way, the bytes that arrived are kept and
+ * the offset advances past them, so the client resumes from there (unless
+ * an Upload-Checksum covered the whole body, which can then not be checked).
+ */
+async function appendChunk(req, res) {
+  const { id } = req.params;
+  
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+  
+  const offset = Number(req.get('Upload-Offset'));
+  
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Missing or invalid Upload-Offset' });
+  }
+  
+  let checksum = null;
+  const checksumHeader = req.get('Upload-Checksum');
+  
+  if (checksumHeader) {
+    const [algorithm, expected] = checksumHeader.trim().split(' ');
+    
+    if (!CHECKSUM_ALGORITHMS[algorithm] || !expected) {
+      return res.status(400).json({ error: `Unsupported checksum algorithm: ${algorithm}` });
+    }
+    
+    checksum = { hash: crypto.createHash(CHECKSUM_ALGORITHMS[algorithm]), expected };
+  }
+  
+  let connection;
+  
+  try {
+    const upload = await findTusUpload(id);
+    
+    if (!upload) {
+      return res.status(404).end();
+    }
+    
+    if (isGone(upload)) {
+      return res.status(410).end();
+    }
+    
+    if (upload.status !== 'UPLOADING') {
+      return res.status(403).json({ error: `Upload is in ${upload.status} state, cannot accept data` });
+    }
+    
+    if (offset !== upload.upload_offset) {
+      return res.status(409).json({
+        error: 'Upload-Offset does not match the current offset',
+        currentOffset: upload.upload_offset
+      });
+    }
+    
+    let bytesWritten;
+    try {
+      bytesWritten = await fileUtils.writeStreamAtOffset(upload.file_path, offset, req, {
+        maxBytes: upload.total_size - offset,
+        onData: (data) => checksum && checksum.hash.update(data),
+        keepPartial: !checksum
+      });
+    } catch (error) {
+      if (error.code === 'ERR_CHUNK_TOO_LARGE') {
+        return res.status(400).json({ error: 'Request body exceeds Upload-Length' });
+      }
+      if (!error.bytesDurable) {
+        throw error;
+      }
+      
+      console.log(`tus PATCH interrupted (${id}): keeping ${error.bytesDurable} bytes (${error.message})`);
+      // Answered as usual in case the client is still there (e.g. a failed write)
+      bytesWritten = error.bytesDurable;
+    }
+    
+    // Bytes are on disk but the offset does not move, so the client resends them
+    if (checksum && checksum.hash.digest('base64') !== checksum.expected) {
+      return res.status(460).json({ error: 'Checksum Mismatch' });
+    }
+    
+    const newOffset = offset + bytesWritten;
+    
+    // Hashed from disk before the transaction, so no row lock is held meanwhile
+    const completedChunks = await hashCompletedChunks(upload, offset, newOffset);
+    
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    // Conditional update: a concurrent PATCH for the same offset loses here
+    const [result] = await connection.query(
+      `UPDATE uploads SET upload_offset = ?, updated_at = NOW()
+       WHERE id = ? AND upload_offset = ? AND status = 'UPLOADING'`,
+      [newOffset, id, offset]
+    );
+    
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Upload was modified concurrently' });
+    }
+    
+    // Same transaction as the offset: a crash cannot leave the whole file
+    // received while its last chunks (and the finalization job) are missing
+    const recorded = [];
+    for (const chunk of completedChunks) {
+      recorded.push(await uploadService.recordChunkSuccess(
+        connection, upload.id, chunk.chunkIndex, chunk.chunkHash, chunk.length
+      ));
+    }
+    
+    await connection.commit();
+    
+    for (const chunk of recorded) {
+      uploadService.publishChunkSuccess(upload.id, chunk);
+    }
+    
+    res.set({
+      'Upload-Offset': String(newOffset),
+      'Upload-Expires': getExpiry({ updated_at: new Date() }).toUTCString()
+    });
+    res.status(204).end();
+    
+  } catch (error) {
+    console.error(`tus PATCH failed (${id}):`, error);
+    
+    if (connection) {
+      await connection.rollback();
+    }
+    
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Upload failed',
+        details: error.message
+      });
+    }
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * Hash every chunk the offset moves past, to be marked SUCCESS
+ * A chunk may have arrived over several PATCHes, so its hash is taken from disk.
+ * @returns {Promise<Array>} - [{ chunkIndex, chunkHash, length }]
+ */
+async function hashCompletedChunks(upload, oldOffset, newOffset) {
+  const firstChunk = Math.floor(oldOffset / upload.chunk_size);
+  const lastChunk = newOffset === upload.total_size
+    ? Math.ceil(upload.total_size / upload.chunk_size) - 1
+    : Math.floor(newOffset / upload.chunk_size) - 1;
+  
+  const chunks = [];
+  
+  for (let chunkIndex = firstChunk; chunkIndex <= lastChunk; chunkIndex++) {
+    const chunkOffset = chunkIndex * upload.chunk_size;
+    const length = uploadConfig.getChunkLength(upload.total_size, upload.chunk_size, chunkIndex);
+    const chunkHash = await hashUtils.calculateRangeHash(upload.file_path, chunkOffset, length);
+    
+    chunks.push({ chunkIndex, chunkHash, length });
+  }
+  
+  return chunks;
+}
+
+/**
+ * DELETE /files/:id (termination)
+ * Same cancellation as DELETE /upload/:id; later requests get 410 Gone
+ */
+async function terminateUpload(req, res) {
+  const { id } = req.params;
+  
+  try {
+    const upload = await findTusUpload(id);
+    
+    if (!upload) {
+      return res.status(404).end();
+    }
+    
+    await uploadService.cancelUpload(id);
+    
+    console.log(`tus upload terminated: ${id}`);
+    
+    res.status(204).end();
+    
+  } catch (error) {
+    console.error(`tus DELETE failed (${id}):`, error);
+    res.status(500).json({
+      error: 'Upload termination failed',
+      details: error.message
+    });
+  }
+}
+
+module.exports = {
+  requireTusResumable,
+  methodOverride,
+  getOptions,
+  createUpload,
+  getOffset,
+  appendChunk,
+  terminateUpload
+};
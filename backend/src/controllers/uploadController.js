@@ -1,28 +1,56 @@
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const path = require('path');
+const { pipeline } = require('stream');
 const db = require('../config/database');
 const fileUtils = require('../utils/fileUtils');
 const hashUtils = require('../utils/hashUtils');
 const zipUtils = require('../utils/zipUtils');
 const chunkHashUtils = require('../utils/chunkHashUtils');
+const dedupChallenge = require('../utils/dedupChallenge');
+const { ERROR_CODES, RETRY_AFTER_SECONDS, isTransientError } = require('../utils/errorCodes');
+const finalizationService = require('../services/finalizationService');
+const uploadService = require('../services/uploadService');
+const uploadEvents = require('../services/uploadEvents');
+const zipIndexService = require('../services/zipIndexService');
+const extractionService = require('../services/extractionService');
+const uploadConfig = require('../config/upload');
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
-const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE) || 5242880;
+
+// Page size of GET /upload/:id/contents
+const CONTENTS_DEFAULT_LIMIT = 1000;
+const CONTENTS_MAX_LIMIT = 10000;
+
+// Most glob patterns accepted per list in POST /upload/:id/extract
+const EXTRACT_MAX_PATTERNS = 100;
+
+// How often an event stream re-reads the upload's status, for finalization
+// running in another process (worker or another API instance)
+const EVENTS_STATUS_CHECK_INTERVAL = 2000;
+
+const SETTLED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+// Failed ZIP entries listed by /status; GET /upload/:id/zip-report has them all
+const STATUS_REPORT_FAILURES = 100;
+
+// Tries of /upload/init when its transaction is picked as a deadlock victim
+const INIT_MAX_ATTEMPTS = 3;
 
 async function initializeUpload(req, res) {
-  const { filename, totalSize, totalChunks, fileHash } = req.body;
+  const { filename, totalSize, fileHash, deepVerify, dedupProof } = req.body;
   
-  // console.log('Init upload:', { filename, totalSize, totalChunks });
+  // console.log('Init upload:', { filename, totalSize });
   
-  if (!filename || !totalSize || !totalChunks) {
+  if (!filename || !totalSize) {
     return res.status(400).json({
-      error: 'Missing required fields: filename, totalSize, totalChunks'
+      error: 'Missing required fields: filename, totalSize'
     });
   }
   
-  if (totalSize <= 0 || totalChunks <= 0) {
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
     return res.status(400).json({
-      error: 'Invalid totalSize or totalChunks'
+      error: 'Invalid totalSize'
     });
   }
   
@@ -33,71 +61,326 @@ async function initializeUpload(req, res) {
     });
   }
   
-  let connection;
+  if (deepVerify !== undefined && typeof deepVerify !== 'boolean') {
+    return res.status(400).json({
+      error: 'deepVerify must be a boolean'
+    });
+  }
   
-  try {
-    const uploadId = uuidv4();
-    const filePath = path.join(UPLOAD_DIR, `${uploadId}.zip`);
+  // Per-upload choice, falling back to the server default
+  const deepZipVerify = deepVerify === undefined ? uploadConfig.DEEP_ZIP_VERIFY : deepVerify;
+  
+  // Server decides the chunk layout; clients slice by what we return
+  const chunkSize = uploadConfig.chooseChunkSize(totalSize);
+  const totalChunks = Math.ceil(totalSize / chunkSize);
+  
+  // Concurrent inits of a new file both take gap locks in findResumableUpload,
+  // so MySQL may pick one as a deadlock victim; a retry resumes the winner's session
+  for (let attempt = 1; ; attempt++) {
+    let connection;
     
+    try {
+      connection = await db.getConnection();
+      await connection.beginTransaction();
+      
+      // Identical file already stored: complete instantly without any chunks,
+      // once the client has shown it holds the file and not just its hash
+      const source = fileHash && await findDeduplicationSource(connection, {
+        fileHash,
+        totalSize,
+        deepVerify: deepZipVerify
+      });
+      
+      if (source && dedupProof === undefined) {
+        await connection.rollback();
+        
+        return res.json({
+          dedupChallenge: dedupChallenge.createChallenge({ fileHash, totalSize }),
+          message: 'Identical file already uploaded; send dedupProof to reuse it'
+        });
+      }
+      
+      if (source) {
+        const proven = await provesPossession(source, dedupProof, { fileHash, totalSize });
+        
+        if (!proven) {
+          console.log(`Deduplication proof for ${fileHash.substring(0, 16)}... rejected, uploading normally`);
+        }
+        
+        const duplicate = proven && await createDeduplicatedUpload(connection, source, {
+          fileHash,
+          totalSize,
+          filename
+        });
+        
+        if (duplicate) {
+          await connection.commit();
+          
+          await linkDeduplicatedFile(duplicate.uploadId, duplicate.sourcePath);
+          
+          console.log(`Upload deduplicated: ${duplicate.uploadId} (same content as ${duplicate.sourceId})`);
+          
+          return res.json({
+            uploadId: duplicate.uploadId,
+            chunkSize: duplicate.chunkSize,
+            totalChunks: duplicate.totalChunks,
+            uploadedChunks: Array.from({ length: duplicate.totalChunks }, (_, i) => i),
+            resumed: false,
+            deduplicated: true,
+            status: 'COMPLETED',
+            message: 'Identical file already uploaded'
+          });
+        }
+      }
+      
+      // Resume an unfinished session for the same file instead of starting over
+      if (fileHash) {
+        const existing = await findResumableUpload(connection, {
+          fileHash,
+          totalSize,
+          filename,
+          chunkSize
+        });
+        
+        if (existing) {
+          // Asking for deep verification on resume turns it on; it is never turned off
+          await connection.query(
+            `UPDATE uploads SET updated_at = NOW(), deep_verify = deep_verify OR ? WHERE id = ?`,
+            [deepZipVerify, existing.id]
+          );
+          await connection.commit();
+          
+          const [uploadedChunks] = await connection.query(
+            `SELECT chunk_index FROM chunks WHERE upload_id = ? AND status = 'SUCCESS'
+             ORDER BY chunk_index`,
+            [existing.id]
+          );
+          
+          const uploadedIndices = uploadedChunks.map(row => row.chunk_index);
+          
+          console.log(`Upload resumed: ${existing.id} (${uploadedIndices.length}/${existing.total_chunks} chunks ready)`);
+          
+          return res.json({
+            uploadId: existing.id,
+            chunkSize,
+            totalChunks: existing.total_chunks,
+            uploadedChunks: uploadedIndices,
+            resumed: true,
+            message: 'Upload resumed successfully'
+          });
+        }
+      }
+      
+      const { uploadId, filePath } = await uploadService.createUpload(connection, {
+        filename,
+        totalSize,
+        chunkSize,
+        fileHash,
+        deepVerify: deepZipVerify
+      });
+      
+      await connection.commit();
+      
+      await uploadService.allocateUploadFile({ uploadId, filePath, totalSize });
+      
+      console.log(`Upload initialized: ${uploadId} (${totalChunks} chunks of ${chunkSize} bytes)`);
+      
+      return res.json({
+        uploadId,
+        chunkSize,
+        totalChunks,
+        uploadedChunks: [],
+        resumed: false,
+        message: 'Upload initialized successfully'
+      });
+      
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      
+      if (error.code === 'ER_LOCK_DEADLOCK' && attempt < INIT_MAX_ATTEMPTS) {
+        console.log(`Upload initialization deadlocked, retrying (attempt ${attempt} of ${INIT_MAX_ATTEMPTS})`);
+        continue;
+      }
+      
+      console.error('Upload initialization failed:', error);
+      return res.status(500).json({
+        error: 'Upload initialization failed',
+        details: error.message
+      });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+}
+
+/**
+ * Newest finished upload with the same content whose file is still on disk
+ * When deep verification is requested only a deep-verified source qualifies.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} params - { fileHash, totalSize, deepVerify }
+ * @returns {Promise<Object|null>} - Upload row, or null if there is no duplicate
+ */
+async function findDeduplicationSource(connection, { fileHash, totalSize, deepVerify }) {
+  const [uploads] = await connection.query(
+    `SELECT id, file_path, total_chunks, chunk_size, deep_verify, zip_report, entry_count FROM uploads
+     WHERE final_hash = ? AND total_size = ? AND status = 'COMPLETED'
+     AND (deep_verify = TRUE OR ? = FALSE)
+     ORDER BY completed_at DESC`,
+    [fileHash, totalSize, deepVerify]
+  );
+  
+  for (const candidate of uploads) {
+    if (await fileUtils.fileExists(candidate.file_path)) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Whether dedupProof ({ token, hash }) answers a challenge issued for this
+ * file with the SHA-256 of the source's bytes in the challenged range
+ * @param {Object} source - Upload row from findDeduplicationSource
+ * @param {Object} proof - dedupProof from the init request
+ * @param {Object} file - { fileHash, totalSize } of the init request
+ * @returns {Promise<boolean>}
+ */
+async function provesPossession(source, proof, file) {
+  const range = proof && dedupChallenge.readChallenge(proof.token, file);
+  
+  if (!range || typeof proof.hash !== 'string') {
+    return false;
+  }
+  
+  const expected = await hashUtils.calculateRangeHash(source.file_path, range.offset, range.length);
+  return proof.hash.toLowerCase() === expected;
+}
+
+/**
+ * Create a COMPLETED upload that shares storage with an identical finished upload.
+ * The record starts out sharing the source's path; linkDeduplicatedFile gives
+ * it its own hard link once the transaction has committed.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} source - Upload row from findDeduplicationSource
+ * @param {Object} params - { fileHash, totalSize, filename }
+ * @returns {Promise<Object>} - { uploadId, sourceId, sourcePath, chunkSize, totalChunks }
+ */
+async function createDeduplicatedUpload(connection, source, { fileHash, totalSize, filename }) {
+  const uploadId = uuidv4();
+  
+  // Reuse the source's chunk layout so stored chunk hashes stay valid for /verify
+  await connection.query(
+    `INSERT INTO uploads (id, filename, total_size, total_chunks, chunk_size, file_hash, deep_verify, zip_report,
+     entry_count, status, final_hash, file_path, created_at, updated_at, completed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'COMPLETED', ?, ?, NOW(), NOW(), NOW())`,
+    [
+      uploadId,
+      filename,
+      totalSize,
+      source.total_chunks,
+      source.chunk_size,
+      fileHash,
+      source.deep_verify,
+      source.zip_report === null ? null : JSON.stringify(source.zip_report),
+      source.entry_count,
+      fileHash,
+      source.file_path
+    ]
+  );
+  
+  await connection.query(
+    `INSERT INTO chunks (upload_id, chunk_index, status, chunk_hash, byte_length, received_at)
+     SELECT ?, chunk_index, 'SUCCESS', chunk_hash, byte_length, NOW()
+     FROM chunks WHERE upload_id = ?`,
+    [uploadId, source.id]
+  );
+  
+  // A source completed before indexing existed has no index; /contents builds it on demand
+  if (source.entry_count !== null) {
+    await zipIndexService.copyIndex(connection, source.id, uploadId);
+  }
+  
+  return {
+    uploadId,
+    sourceId: source.id,
+    sourcePath: source.file_path,
+    chunkSize: source.chunk_size,
+    totalChunks: source.total_chunks
+  };
+}
+
+/**
+ * Move a committed deduplicated upload from the shared path to its own hard
+ * link, so deleting either upload leaves the other intact. Linking only after
+ * commit means a rolled-back or retried init leaves no file behind. If the
+ * link cannot be made, the upload keeps sharing the path.
+ * @param {string} uploadId - Upload from createDeduplicatedUpload
+ * @param {string} sourcePath - Path it shares
+ */
+async function linkDeduplicatedFile(uploadId, sourcePath) {
+  const linkPath = path.join(UPLOAD_DIR, `${uploadId}.zip`);
+  
+  try {
     await fileUtils.ensureDirectory(UPLOAD_DIR);
     
-    console.log(`Pre-allocating ${totalSize} bytes for ${filename}`);
-    await fileUtils.preallocateFile(filePath, totalSize);
-    
-    // Start transaction
-    connection = await db.getConnection();
-    await connection.beginTransaction();
+    if (!(await fileUtils.createHardLink(sourcePath, linkPath))) {
+      return;
+    }
     
-    // Insert upload record
-    await connection.query(
-      `INSERT INTO uploads (id, filename, total_size, total_chunks, status, file_path, created_at, updated_at)
-       VALUES (?, ?, ?, ?, 'UPLOADING', ?, NOW(), NOW())`,
-      [uploadId, filename, totalSize, totalChunks, filePath]
+    // A repair may have given the upload its own copy in the meantime
+    const [result] = await db.query(
+      `UPDATE uploads SET file_path = ? WHERE id = ? AND file_path = ?`,
+      [linkPath, uploadId, sourcePath]
     );
     
-    // Pre-create all chunk records as PENDING
-    const chunkRecords = [];
-    for (let i = 0; i < totalChunks; i++) {
-      chunkRecords.push([uploadId, i, 'PENDING']);
+    if (result.affectedRows === 0) {
+      await fileUtils.safeDeleteFile(linkPath);
     }
-    
+  } catch (error) {
+    console.error(`Hard link for deduplicated upload ${uploadId} failed, sharing ${sourcePath}:`, error);
+  }
+}
+
+/**
+ * Find an unfinished upload session with the same file fingerprint.
+ * Locks the row so concurrent inits for the same file resume the same session.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} fingerprint - { fileHash, totalSize, filename, chunkSize }
+ * @returns {Promise<Object|null>} - Upload row, or null if nothing to resume
+ */
+async function findResumableUpload(connection, { fileHash, totalSize, filename, chunkSize }) {
+  const [uploads] = await connection.query(
+    `SELECT id, file_path, total_chunks FROM uploads
+     WHERE file_hash = ? AND total_size = ? AND filename = ? AND chunk_size = ?
+     AND status = 'UPLOADING'
+     ORDER BY created_at DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [fileHash, totalSize, filename, chunkSize]
+  );
+  
+  if (uploads.length === 0) {
+    return null;
+  }
+  
+  const upload = uploads[0];
+  
+  // Partial file is gone (e.g. wiped volume), chunks marked SUCCESS are lost
+  if (!(await fileUtils.fileExists(upload.file_path))) {
+    console.log(`Resumable upload ${upload.id} has no file on disk, starting a new session`);
     await connection.query(
-      `INSERT INTO chunks (upload_id, chunk_index, status) VALUES ?`,
-      [chunkRecords]
-    );
-    
-    await connection.commit();
-    
-    // Query uploaded chunks (in case of resume)
-    const [uploadedChunks] = await connection.query(
-      `SELECT chunk_index FROM chunks WHERE upload_id = ? AND status = 'SUCCESS'`,
-      [uploadId]
+      `UPDATE uploads SET status = 'FAILED', failure_reason = ?, updated_at = NOW() WHERE id = ?`,
+      [finalizationService.FAILURE_REASONS.FILE_MISSING, upload.id]
     );
-    
-    const uploadedIndices = uploadedChunks.map(row => row.chunk_index);
-    
-    console.log(`Upload initialized: ${uploadId} (${uploadedIndices.length}/${totalChunks} chunks ready)`);
-    
-    res.json({
-      uploadId,
-      uploadedChunks: uploadedIndices,
-      message: 'Upload initialized successfully'
-    });
-    
-  } catch (error) {
-    if (connection) {
-      await connection.rollback();
-    }
-    console.error('Upload initialization failed:', error);
-    res.status(500).json({
-      error: 'Upload initialization failed',
-      details: error.message
-    });
-  } finally {
-    if (connection) {
-      connection.release();
-    }
+    return null;
   }
+  
+  return upload;
 }
 
 async function uploadChunk(req, res) {
@@ -107,7 +390,8 @@ async function uploadChunk(req, res) {
   // Validation
   if (!uploadId || chunkIndex === undefined || !chunkData) {
     return res.status(400).json({
-      error: 'Missing required fields: uploadId, chunkIndex, or chunk data'
+      error: 'Missing required fields: uploadId, chunkIndex, or chunk data',
+      code: ERROR_CODES.MISSING_FIELDS
     });
   }
   
@@ -118,15 +402,28 @@ async function uploadChunk(req, res) {
   try {
     connection = await db.getConnection();
     
-    // Verify chunk hash if provided (integrity check)
+    const target = await prepareChunkWrite(connection, uploadId, chunkIndex);
+    
+    if (target.response) {
+      return res.status(target.response.status).json(target.response.body);
+    }
+    
+    const { upload, expectedLength } = target;
+    
+    if (chunkData.size !== expectedLength) {
+      console.log(`Chunk ${chunkIndexNum} rejected: ${chunkData.size} bytes, expected ${expectedLength}`);
+      return res.status(400).json(invalidLengthBody(chunkIndexNum, expectedLength, chunkData.size));
+    }
+    
+    // Hash every chunk so it can be re-verified later; check it if the client sent one
+    const chunkBuffer = require('fs').readFileSync(chunkData.path);
+    const actualChunkHash = chunkHashUtils.calculateChunkHash(chunkBuffer);
+    
     if (chunkHash) {
-      const chunkBuffer = require('fs').readFileSync(chunkData.path);
-      const isValid = chunkHashUtils.verifyChunkHash(chunkBuffer, chunkHash);
-      
-      if (!isValid) {
-        await fileUtils.safeDeleteFile(chunkData.path);
+      if (actualChunkHash !== chunkHash) {
         return res.status(400).json({
           error: 'Chunk hash verification failed',
+          code: ERROR_CODES.CHUNK_HASH_MISMATCH,
           chunkIndex: chunkIndexNum
         });
       }
@@ -134,172 +431,159 @@ async function uploadChunk(req, res) {
       console.log(`✓ Chunk ${chunkIndexNum} hash verified`);
     }
     
-    // Fetch upload details
-    const [uploads] = await connection.query(
-      `SELECT id, file_path, total_chunks, total_size, status FROM uploads WHERE id = ?`,
-      [uploadId]
-    );
-    
-    if (uploads.length === 0) {
-      return res.status(404).json({ error: 'Upload not found' });
-    }
-    
-    const upload = uploads[0];
-    
-    if (upload.status !== 'UPLOADING') {
-      return res.status(400).json({
-        error: `Upload is in ${upload.status} state, cannot accept chunks`
-      });
-    }
-    
-    if (chunkIndexNum < 0 || chunkIndexNum >= upload.total_chunks) {
-      return res.status(400).json({
-        error: `Invalid chunk index: ${chunkIndexNum}`
-      });
-    }
-    
-    const [chunks] = await connection.query(
-      `SELECT status FROM chunks WHERE upload_id = ? AND chunk_index = ?`,
-      [uploadId, chunkIndexNum]
-    );
-    
-    if (chunks.length > 0 && chunks[0].status === 'SUCCESS') {
-      console.log(`Chunk ${chunkIndexNum} already uploaded, skipping`);
-      return res.json({
-        message: 'Chunk already uploaded',
-        chunkIndex: chunkIndexNum,
-        duplicate: true
-      });
-    }
-    
-    const offset = chunkIndexNum * CHUNK_SIZE;
+    const offset = chunkIndexNum * upload.chunk_size;
     
     const chunkStream = require('fs').createReadStream(chunkData.path);
     await fileUtils.writeChunkAtOffset(upload.file_path, offset, chunkStream);
     
-    await fileUtils.safeDeleteFile(chunkData.path);
-    
-    await connection.query(
-      `UPDATE chunks SET status = 'SUCCESS', received_at = NOW()
-       WHERE upload_id = ? AND chunk_index = ?`,
-      [uploadId, chunkIndexNum]
-    );
-    
-    const [chunkStatus] = await connection.query(
-      `SELECT COUNT(*) as total, SUM(CASE WHEN status = 'SUCCESS' THEN 1 ELSE 0 END) as completed
-       FROM chunks WHERE upload_id = ?`,
-      [uploadId]
-    );
-    
-    const { total, completed } = chunkStatus[0];
-    const isComplete = completed === total;
-    
-    console.log(`Chunk ${chunkIndexNum} uploaded (${completed}/${total})`);
+    const recorded = await commitChunk(connection, uploadId, chunkIndexNum, actualChunkHash, chunkBuffer.length);
     
-    if (isComplete) {
-      setTimeout(() => finalizeUpload(uploadId), 0);
+    if (recorded.response) {
+      return res.status(recorded.response.status).json(recorded.response.body);
     }
     
+    const { progress } = recorded;
+    
     res.json({
       message: 'Chunk uploaded successfully',
       chunkIndex: chunkIndexNum,
-      progress: {
-        completed,
-        total,
-        isComplete
-      }
+      progress
     });
     
   } catch (error) {
     console.error(`Chunk upload failed (${chunkIndex}):`, error);
     
-    // Clean up temp file on error
+    sendChunkError(res, error);
+  } finally {
+    // Temp file is never needed past this request, whatever the outcome
     if (chunkData && chunkData.path) {
       await fileUtils.safeDeleteFile(chunkData.path);
     }
     
-    res.status(500).json({
-      error: 'Chunk upload failed',
-      details: error.message
-    });
-  } finally {
     if (connection) {
       connection.release();
     }
   }
 }
 
-async function finalizeUpload(uploadId) {
+/**
+ * PUT /upload/:id/chunks/:index (application/octet-stream)
+ * Streams the request body once, straight into the pre-allocated file,
+ * hashing on the way. The chunk is marked SUCCESS only after the hash
+ * matches and the data has been fsynced.
+ *
+ * With X-Chunk-Offset the body is only the part of the chunk starting there,
+ * so a bandwidth-capped client can pace a chunk in small requests. Parts
+ * are answered 202 until one reaches the end of the chunk; that one hashes
+ * the whole chunk from disk and checks it against X-Chunk-Hash (required).
+ */
+async function putChunk(req, res) {
+  const { id: uploadId, index } = req.params;
+  const chunkHash = req.get('X-Chunk-Hash');
+  const partHeader = req.get('X-Chunk-Offset');
+  const isPart = partHeader !== undefined;
+  const partOffset = isPart ? Number(partHeader) : 0;
+  const chunkIndexNum = parseInt(index);
+  
+  // Without the hash, a part that never arrived would go unnoticed
+  if (isPart && !chunkHash) {
+    return res.status(400).json({
+      error: 'X-Chunk-Hash is required with X-Chunk-Offset',
+      code: ERROR_CODES.MISSING_FIELDS
+    });
+  }
+  
   let connection;
   
   try {
     connection = await db.getConnection();
-    await connection.beginTransaction();
     
-    // CRITICAL: Lock row with FOR UPDATE to prevent double finalization
-    const [uploads] = await connection.query(
-      `SELECT id, file_path, total_size, status, final_hash FROM uploads
-       WHERE id = ? FOR UPDATE`,
-      [uploadId]
-    );
+    const target = await prepareChunkWrite(connection, uploadId, index);
     
-    if (uploads.length === 0) {
-      console.error(`Upload ${uploadId} not found during finalization`);
-      await connection.rollback();
-      return;
+    if (target.response) {
+      return res.status(target.response.status).json(target.response.body);
     }
     
-    const upload = uploads[0];
+    const { upload, expectedLength } = target;
     
-    if (upload.status !== 'UPLOADING') {
-      console.log(`Upload ${uploadId} already finalized (status: ${upload.status})`);
-      await connection.rollback();
-      return;
+    if (!Number.isInteger(partOffset) || partOffset < 0 || partOffset >= expectedLength) {
+      return res.status(400).json({
+        ...invalidLengthBody(chunkIndexNum, expectedLength, null),
+        error: `Invalid X-Chunk-Offset: ${partHeader}`
+      });
     }
     
-    // Update status to PROCESSING (prevents concurrent finalization)
-    await connection.query(
-      `UPDATE uploads SET status = 'PROCESSING', updated_at = NOW()
-       WHERE id = ?`,
-      [uploadId]
-    );
+    // Reject on the declared length before touching the file (a part may stop short of the end)
+    const declaredLength = req.get('Content-Length');
+    const declaredEnd = partOffset + parseInt(declaredLength);
+    if (declaredLength !== undefined && (isPart ? declaredEnd > expectedLength : declaredEnd !== expectedLength)) {
+      return res.status(400).json(invalidLengthBody(chunkIndexNum, expectedLength, declaredEnd));
+    }
     
-    await connection.commit();
+    const hash = crypto.createHash('sha256');
+    const offset = chunkIndexNum * upload.chunk_size;
+    
+    let bytesWritten;
+    try {
+      bytesWritten = await fileUtils.writeStreamAtOffset(upload.file_path, offset + partOffset, req, {
+        maxBytes: expectedLength - partOffset,
+        onData: (data) => hash.update(data)
+      });
+    } catch (error) {
+      if (error.code === 'ERR_CHUNK_TOO_LARGE') {
+        return res.status(400).json(invalidLengthBody(chunkIndexNum, expectedLength, partOffset + error.bytesReceived));
+      }
+      throw error;
+    }
+    
+    const received = partOffset + bytesWritten;
     
-    console.log(`Finalizing upload ${uploadId}...`);
+    if (received !== expectedLength && isPart) {
+      return res.status(202).json({
+        message: 'Chunk part stored',
+        chunkIndex: chunkIndexNum,
+        received
+      });
+    }
     
-    const actualSize = await fileUtils.getFileSize(upload.file_path);
-    if (actualSize !== upload.total_size) {
-      throw new Error(`File size mismatch: expected ${upload.total_size}, got ${actualSize}`);
+    if (received !== expectedLength) {
+      console.log(`Chunk ${chunkIndexNum} rejected: ${bytesWritten} bytes, expected ${expectedLength}`);
+      return res.status(400).json(invalidLengthBody(chunkIndexNum, expectedLength, bytesWritten));
     }
     
-    console.log(`Calculating SHA-256 hash...`);
-    const finalHash = await hashUtils.calculateFileHash(upload.file_path);
+    // A last part only saw its own bytes; the earlier parts are on disk
+    const actualChunkHash = partOffset === 0
+      ? hash.digest('hex')
+      : await hashUtils.calculateRangeHash(upload.file_path, offset, expectedLength);
     
-    // Verify ZIP validity
-    const isValid = await zipUtils.isValidZip(upload.file_path);
-    if (!isValid) {
-      throw new Error('Invalid ZIP file');
+    // The region now holds bad data, but the chunk stays PENDING until re-sent
+    if (chunkHash && actualChunkHash !== chunkHash) {
+      return res.status(400).json({
+        error: 'Chunk hash verification failed',
+        code: ERROR_CODES.CHUNK_HASH_MISMATCH,
+        chunkIndex: chunkIndexNum
+      });
     }
     
-    // Mark as COMPLETED
-    await db.query(
-      `UPDATE uploads SET status = 'COMPLETED', final_hash = ?, completed_at = NOW()
-       WHERE id = ?`,
-      [finalHash, uploadId]
-    );
+    const recorded = await commitChunk(connection, uploadId, chunkIndexNum, actualChunkHash, expectedLength);
+    
+    if (recorded.response) {
+      return res.status(recorded.response.status).json(recorded.response.body);
+    }
     
-    console.log(`Upload ${uploadId} finalized successfully (hash: ${finalHash.substring(0, 16)}...)`);
+    const { progress } = recorded;
+    
+    res.json({
+      message: 'Chunk uploaded successfully',
+      chunkIndex: chunkIndexNum,
+      progress
+    });
     
   } catch (error) {
-    console.error(`Finalization failed for ${uploadId}:`, error);
+    console.error(`Chunk upload failed (${index}):`, error);
     
-    // Mark as FAILED
-    if (connection) {
-      await connection.query(
-        `UPDATE uploads SET status = 'FAILED' WHERE id = ?`,
-        [uploadId]
-      );
+    if (!res.headersSent) {
+      sendChunkError(res, error);
     }
   } finally {
     if (connection) {
@@ -308,12 +592,176 @@ async function finalizeUpload(uploadId) {
   }
 }
 
+/**
+ * Response for a chunk sent to an upload that is gone (status null) or not UPLOADING
+ */
+function notAcceptingResponse(status) {
+  if (status === null) {
+    return {
+      status: 404,
+      body: { error: 'Upload not found', code: ERROR_CODES.UPLOAD_NOT_FOUND }
+    };
+  }
+  
+  return {
+    status: 400,
+    body: {
+      error: `Upload is in ${status} state, cannot accept chunks`,
+      code: ERROR_CODES.UPLOAD_NOT_ACCEPTING,
+      status
+    }
+  };
+}
+
+/**
+ * Mark a written chunk SUCCESS in its own transaction, and announce it once committed
+ * The upload may have been cancelled or failed while the chunk was being written;
+ * then nothing is recorded.
+ * @param {Object} connection - DB connection without an open transaction
+ * @returns {Promise<Object>} - { progress: { completed, total, isComplete } }, or { response } to send back as-is
+ */
+async function commitChunk(connection, uploadId, chunkIndex, chunkHash, byteLength) {
+  try {
+    await connection.beginTransaction();
+    
+    const recorded = await uploadService.recordChunkSuccess(connection, uploadId, chunkIndex, chunkHash, byteLength);
+    
+    if (!recorded) {
+      await connection.rollback();
+      
+      const [uploads] = await connection.query(`SELECT status FROM uploads WHERE id = ?`, [uploadId]);
+      return { response: notAcceptingResponse(uploads.length > 0 ? uploads[0].status : null) };
+    }
+    
+    await connection.commit();
+    
+    uploadService.publishChunkSuccess(uploadId, recorded);
+    
+    const { completed, total, isComplete } = recorded;
+    return { progress: { completed, total, isComplete } };
+    
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Check that an upload can accept a chunk at the given index
+ * @param {Object} connection - DB connection
+ * @param {string} uploadId - Upload ID
+ * @param {string|number} chunkIndex - Chunk index as received
+ * @returns {Promise<Object>} - { upload, expectedLength }, or { response } to send back as-is
+ */
+async function prepareChunkWrite(connection, uploadId, chunkIndex) {
+  const chunkIndexNum = parseInt(chunkIndex);
+  
+  const [uploads] = await connection.query(
+    `SELECT id, file_path, total_chunks, total_size, chunk_size, status FROM uploads WHERE id = ?`,
+    [uploadId]
+  );
+  
+  if (uploads.length === 0) {
+    return { response: notAcceptingResponse(null) };
+  }
+  
+  const upload = uploads[0];
+  
+  if (upload.status !== 'UPLOADING') {
+    return { response: notAcceptingResponse(upload.status) };
+  }
+  
+  if (Number.isNaN(chunkIndexNum) || chunkIndexNum < 0 || chunkIndexNum >= upload.total_chunks) {
+    return {
+      response: {
+        status: 400,
+        body: { error: `Invalid chunk index: ${chunkIndex}`, code: ERROR_CODES.INVALID_CHUNK_INDEX }
+      }
+    };
+  }
+  
+  const [chunks] = await connection.query(
+    `SELECT status FROM chunks WHERE upload_id = ? AND chunk_index = ?`,
+    [uploadId, chunkIndexNum]
+  );
+  
+  if (chunks.length > 0 && chunks[0].status === 'SUCCESS') {
+    console.log(`Chunk ${chunkIndexNum} already uploaded, skipping`);
+    return {
+      response: {
+        status: 200,
+        body: {
+          message: 'Chunk already uploaded',
+          chunkIndex: chunkIndexNum,
+          duplicate: true
+        }
+      }
+    };
+  }
+  
+  // A short chunk would leave a zero-filled hole, a long one overwrites the next chunk
+  const expectedLength = uploadConfig.getChunkLength(upload.total_size, upload.chunk_size, chunkIndexNum);
+  
+  return { upload, expectedLength };
+}
+
+function invalidLengthBody(chunkIndex, expectedLength, actualLength) {
+  return {
+    error: 'Invalid chunk length',
+    code: ERROR_CODES.INVALID_CHUNK_LENGTH,
+    chunkIndex,
+    expectedLength,
+    actualLength
+  };
+}
+
+/**
+ * POST /upload/chunk whose chunk part went over MAX_CHUNK_SIZE
+ * Multer stops reading at the limit, so the length sent is unknown; the
+ * limit is reported instead. chunkIndex is known if its field came first.
+ */
+function rejectOversizeChunk(req, res) {
+  const chunkIndex = req.body && req.body.chunkIndex !== undefined ? parseInt(req.body.chunkIndex) : null;
+  
+  console.log(`Chunk ${chunkIndex} rejected: over ${uploadConfig.MAX_CHUNK_SIZE} bytes`);
+  
+  res.status(400).json({
+    error: 'Invalid chunk length',
+    code: ERROR_CODES.INVALID_CHUNK_LENGTH,
+    chunkIndex,
+    maxLength: uploadConfig.MAX_CHUNK_SIZE
+  });
+}
+
+/**
+ * Answer a chunk request that failed unexpectedly
+ * Database hiccups get a 503 with Retry-After, anything else a 500; both
+ * are worth retrying, the 503 only after the given delay.
+ */
+function sendChunkError(res, error) {
+  if (isTransientError(error)) {
+    res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+      error: 'Server temporarily unavailable',
+      code: ERROR_CODES.SERVICE_UNAVAILABLE,
+      details: error.message
+    });
+  }
+  
+  res.status(500).json({
+    error: 'Chunk upload failed',
+    code: ERROR_CODES.INTERNAL_ERROR,
+    details: error.message
+  });
+}
+
 async function getUploadStatus(req, res) {
   const { id } = req.params;
   
   try {
     const [uploads] = await db.query(
-      `SELECT id, filename, total_size, total_chunks, status, final_hash, created_at, completed_at
+      `SELECT id, filename, total_size, total_chunks, chunk_size, status, failure_reason, file_hash, final_hash,
+       deep_verify, zip_report, policy_violations, hash_offset, created_at, completed_at
        FROM uploads WHERE id = ?`,
       [id]
     );
@@ -331,7 +779,15 @@ async function getUploadStatus(req, res) {
       [id]
     );
     
-    const { total, completed } = chunkStatus[0];
+    // SUM() comes back as a DECIMAL string from mysql2
+    const total = Number(chunkStatus[0].total);
+    const completed = Number(chunkStatus[0].completed);
+    
+    const extraction = await extractionService.getExtractionStatus(id);
+    
+    if (upload.zip_report) {
+      upload.zip_report = summarizeZipReport(upload.zip_report);
+    }
     
     res.json({
       upload,
@@ -339,7 +795,8 @@ async function getUploadStatus(req, res) {
         completed,
         total,
         percentage: Math.round((completed / total) * 100)
-      }
+      },
+      extraction
     });
     
   } catch (error) {
@@ -351,12 +808,31 @@ async function getUploadStatus(req, res) {
   }
 }
 
-async function getZipContents(req, res) {
+/**
+ * zip_report as /status sends it: the totals and the first failed entries
+ * (the full report can list 10000 entries, too much for every poll)
+ */
+function summarizeZipReport(report) {
+  const failures = report.entries.filter(entry => !entry.ok);
+  
+  return {
+    passed: report.passed,
+    totalEntries: report.totalEntries,
+    failedEntries: report.failedEntries,
+    failures: failures.slice(0, STATUS_REPORT_FAILURES),
+    failuresTruncated: failures.length > STATUS_REPORT_FAILURES
+  };
+}
+
+/**
+ * Full deep verification report of an upload
+ */
+async function getZipReport(req, res) {
   const { id } = req.params;
   
   try {
     const [uploads] = await db.query(
-      `SELECT file_path, status FROM uploads WHERE id = ?`,
+      `SELECT zip_report FROM uploads WHERE id = ?`,
       [id]
     );
     
@@ -364,21 +840,622 @@ async function getZipContents(req, res) {
       return res.status(404).json({ error: 'Upload not found' });
     }
     
-    const upload = uploads[0];
+    if (!uploads[0].zip_report) {
+      return res.status(404).json({ error: 'Upload has no ZIP report (not deep-verified yet)' });
+    }
     
-    if (upload.status !== 'COMPLETED') {
-      return res.status(400).json({
+    res.json({
+      uploadId: id,
+      zipReport: uploads[0].zip_report
+    });
+    
+  } catch (error) {
+    console.error('ZIP report fetch failed:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ZIP report',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Collapse ordered chunk rows into runs of equal status
+ * @param {Array} chunks - Rows with chunk_index and status, ordered by chunk_index
+ * @returns {Array} - [{ status, start, count }]
+ */
+function toStatusRuns(chunks) {
+  const runs = [];
+  
+  for (const chunk of chunks) {
+    const last = runs[runs.length - 1];
+    
+    if (last && last.status === chunk.status && last.start + last.count === chunk.chunk_index) {
+      last.count++;
+    } else {
+      runs.push({ status: chunk.status, start: chunk.chunk_index, count: 1 });
+    }
+  }
+  
+  return runs;
+}
+
+/**
+ * Per-chunk manifest, so a reconnecting client can rebuild its chunk grid
+ * and send only what is missing.
+ * ?format=full (default) lists every chunk; ?format=runs returns
+ * run-length encoded statuses for uploads with very many chunks.
+ */
+async function getChunkManifest(req, res) {
+  const { id } = req.params;
+  const format = req.query.format || 'full';
+  
+  if (!['full', 'runs'].includes(format)) {
+    return res.status(400).json({ error: 'format must be "full" or "runs"' });
+  }
+  
+  try {
+    const [uploads] = await db.query(
+      `SELECT id, status, total_size, total_chunks, chunk_size FROM uploads WHERE id = ?`,
+      [id]
+    );
+    
+    if (uploads.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    const upload = uploads[0];
+    
+    const columns = format === 'full'
+      ? 'chunk_index, status, received_at, byte_length, chunk_hash'
+      : 'chunk_index, status';
+    
+    const [chunks] = await db.query(
+      `SELECT ${columns} FROM chunks WHERE upload_id = ? ORDER BY chunk_index`,
+      [id]
+    );
+    
+    const manifest = {
+      uploadId: id,
+      status: upload.status,
+      totalSize: upload.total_size,
+      chunkSize: upload.chunk_size,
+      totalChunks: upload.total_chunks,
+      completedChunks: chunks.filter(c => c.status === 'SUCCESS').length,
+      format
+    };
+    
+    if (format === 'runs') {
+      manifest.runs = toStatusRuns(chunks);
+    } else {
+      manifest.chunks = chunks.map(c => ({
+        index: c.chunk_index,
+        status: c.status,
+        receivedAt: c.received_at,
+        byteLength: c.byte_length,
+        hash: c.chunk_hash
+      }));
+    }
+    
+    res.json(manifest);
+    
+  } catch (error) {
+    console.error('Chunk manifest fetch failed:', error);
+    res.status(500).json({
+      error: 'Failed to fetch chunk manifest',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * result event for an upload that has settled, rebuilt from its row
+ */
+function toResultEvent(upload) {
+  return {
+    type: uploadEvents.EVENT_TYPES.RESULT,
+    data: {
+      uploadId: upload.id,
+      status: upload.status,
+      finalHash: upload.final_hash,
+      reason: upload.failure_reason
+    }
+  };
+}
+
+/**
+ * Server-Sent Events stream of one upload's progress
+ * Starts with a status-change snapshot of the current state, then relays
+ * chunk-received, status-change and hash-progress events, and ends after
+ * the result event (COMPLETED, FAILED or CANCELLED).
+ *
+ * Events are published in the process doing the work. Finalization may run
+ * elsewhere, so the stream also re-reads the status every few seconds and
+ * sends status-change and result itself; hash-progress is then not available.
+ */
+async function streamUploadEvents(req, res) {
+  const { id } = req.params;
+  
+  // Subscribe before reading the snapshot so nothing in between is lost
+  let snapshotSent = false;
+  let lastStatus = null;
+  const pending = [];
+  const unsubscribe = uploadEvents.subscribe(id, (event) => {
+    if (snapshotSent) {
+      send(event);
+    } else {
+      pending.push(event);
+    }
+  });
+  
+  let heartbeat = null;
+  let statusCheck = null;
+  let closed = false;
+  
+  const close = () => {
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(statusCheck);
+  };
+  
+  // Registered before any await, so a client that leaves early still unsubscribes
+  req.on('close', close);
+  
+  function send({ type, data }) {
+    if (res.writableEnded) {
+      return;
+    }
+    
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    if (type === uploadEvents.EVENT_TYPES.STATUS_CHANGE) {
+      lastStatus = data.status;
+    }
+    
+    if (type === uploadEvents.EVENT_TYPES.RESULT) {
+      close();
+      res.end();
+    }
+  }
+  
+  let checking = false;
+  
+  const checkStatus = async () => {
+    if (checking || closed) {
+      return;
+    }
+    checking = true;
+    
+    try {
+      const [uploads] = await db.query(
+        `SELECT id, status, failure_reason, final_hash FROM uploads WHERE id = ?`,
+        [id]
+      );
+      
+      if (uploads.length === 0) {
+        close();
+        return res.end();
+      }
+      
+      const upload = uploads[0];
+      
+      if (upload.status !== lastStatus) {
+        send({
+          type: uploadEvents.EVENT_TYPES.STATUS_CHANGE,
+          data: { uploadId: id, status: upload.status }
+        });
+      }
+      
+      if (SETTLED_STATUSES.includes(upload.status)) {
+        send(toResultEvent(upload));
+      }
+    } catch (error) {
+      // The next check tries again
+      console.error(`Status check of event stream ${id} failed:`, error.message);
+    } finally {
+      checking = false;
+    }
+  };
+  
+  try {
+    const [uploads] = await db.query(
+      `SELECT id, status, failure_reason, final_hash, total_chunks FROM uploads WHERE id = ?`,
+      [id]
+    );
+    
+    if (uploads.length === 0) {
+      close();
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    const upload = uploads[0];
+    
+    const [chunkStatus] = await db.query(
+      `SELECT COUNT(*) as completed FROM chunks WHERE upload_id = ? AND status = 'SUCCESS'`,
+      [id]
+    );
+    
+    // The client left while the snapshot was read; start no timers
+    if (closed) {
+      return;
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // Comment lines keep proxies from timing out an idle stream
+    heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    
+    send({
+      type: uploadEvents.EVENT_TYPES.STATUS_CHANGE,
+      data: {
+        uploadId: id,
+        status: upload.status,
+        completed: chunkStatus[0].completed,
+        total: upload.total_chunks
+      }
+    });
+    
+    // Already settled: the result will never be published again
+    if (SETTLED_STATUSES.includes(upload.status)) {
+      return send(toResultEvent(upload));
+    }
+    
+    snapshotSent = true;
+    pending.forEach(send);
+    
+    statusCheck = setInterval(checkStatus, EVENTS_STATUS_CHECK_INTERVAL);
+    
+  } catch (error) {
+    console.error('Event stream failed:', error);
+    close();
+    
+    if (res.headersSent) {
+      return res.end();
+    }
+    
+    res.status(500).json({
+      error: 'Failed to open event stream',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Cancel an in-flight upload or delete a finished one.
+ * The file is removed and the row kept as CANCELLED; a finalization that
+ * is already running notices the status and does not complete it.
+ */
+async function deleteUpload(req, res) {
+  const { id } = req.params;
+  
+  try {
+    const result = await uploadService.cancelUpload(id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    if (result.previousStatus === 'CANCELLED') {
+      return res.json({
+        uploadId: id,
+        status: 'CANCELLED',
+        message: 'Upload already cancelled'
+      });
+    }
+    
+    res.json({
+      uploadId: id,
+      status: 'CANCELLED',
+      previousStatus: result.previousStatus,
+      fileDeleted: result.fileDeleted,
+      message: 'Upload cancelled successfully'
+    });
+    
+  } catch (error) {
+    console.error('Upload cancellation failed:', error);
+    res.status(500).json({
+      error: 'Upload cancellation failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Whether another upload shares this upload's file data (deduplicated
+ * uploads get a hard link, or the same path where linking is impossible)
+ */
+async function isFileShared(upload) {
+  if (await fileUtils.getLinkCount(upload.file_path) > 1) {
+    return true;
+  }
+  
+  const [refs] = await db.query(
+    `SELECT COUNT(*) as count FROM uploads
+     WHERE file_path = ? AND id <> ? AND status <> 'CANCELLED'`,
+    [upload.file_path, upload.id]
+  );
+  
+  return refs[0].count > 0;
+}
+
+/**
+ * Re-hash every chunk region of a finished upload and reopen corrupted ones.
+ * Failed chunks go back to PENDING and the upload to UPLOADING, so the client
+ * can resume and re-send only those chunks; finalization then runs again.
+ * A file shared with a deduplicated upload is copied first, so the repair
+ * only rewrites this upload's data.
+ */
+async function verifyUpload(req, res) {
+  const { id } = req.params;
+  
+  let connection;
+  let copyPath = null;
+  
+  try {
+    const [uploads] = await db.query(
+      `SELECT id, file_path, total_size, chunk_size, status FROM uploads WHERE id = ?`,
+      [id]
+    );
+    
+    if (uploads.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    const upload = uploads[0];
+    
+    if (upload.status !== 'COMPLETED' && upload.status !== 'FAILED') {
+      return res.status(400).json({
+        error: `Upload is in ${upload.status} state, cannot be verified`
+      });
+    }
+    
+    if (!(await fileUtils.fileExists(upload.file_path))) {
+      return res.status(404).json({ error: 'Upload file not found on disk' });
+    }
+    
+    const [chunks] = await db.query(
+      `SELECT chunk_index, chunk_hash FROM chunks WHERE upload_id = ? ORDER BY chunk_index`,
+      [id]
+    );
+    
+    const failedChunks = [];
+    const unverifiableChunks = [];
+    
+    for (const chunk of chunks) {
+      // Chunks stored before hashes were recorded cannot be checked
+      if (!chunk.chunk_hash) {
+        unverifiableChunks.push(chunk.chunk_index);
+        continue;
+      }
+      
+      const offset = chunk.chunk_index * upload.chunk_size;
+      const length = uploadConfig.getChunkLength(upload.total_size, upload.chunk_size, chunk.chunk_index);
+      const actualHash = await hashUtils.calculateRangeHash(upload.file_path, offset, length);
+      
+      if (actualHash !== chunk.chunk_hash) {
+        failedChunks.push(chunk.chunk_index);
+      }
+    }
+    
+    console.log(`Upload ${id} verified: ${failedChunks.length} corrupted, ${unverifiableChunks.length} unverifiable`);
+    
+    let status = upload.status;
+    
+    if (failedChunks.length > 0) {
+      // Copied before taking the row lock; moved into place under it
+      let filePath = upload.file_path;
+      if (await isFileShared(upload)) {
+        filePath = path.join(UPLOAD_DIR, `${id}.zip`);
+        copyPath = `${filePath}.${uuidv4()}.tmp`;
+        await fileUtils.copyFile(upload.file_path, copyPath);
+      }
+      
+      connection = await db.getConnection();
+      await connection.beginTransaction();
+      
+      const [locked] = await connection.query(
+        `SELECT status FROM uploads WHERE id = ? FOR UPDATE`,
+        [id]
+      );
+      
+      if (locked.length === 0 || locked[0].status !== upload.status) {
+        await connection.rollback();
+        return res.status(409).json({
+          error: 'Upload changed during verification, try again'
+        });
+      }
+      
+      if (copyPath) {
+        await fileUtils.moveFile(copyPath, filePath);
+        copyPath = null;
+      }
+      
+      await connection.query(
+        `UPDATE chunks SET status = 'PENDING', received_at = NULL
+         WHERE upload_id = ? AND chunk_index IN (?)`,
+        [id, failedChunks]
+      );
+      
+      await connection.query(
+        `UPDATE uploads SET status = 'UPLOADING', final_hash = NULL, failure_reason = NULL, zip_report = NULL,
+         policy_violations = NULL, entry_count = NULL, hash_offset = 0, hash_state = NULL,
+         file_path = ?, completed_at = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [filePath, id]
+      );
+      
+      await connection.commit();
+      status = 'UPLOADING';
+      
+      // Extracted files came from the corrupted archive
+      await extractionService.removeExtraction(id);
+      
+      uploadEvents.publish(id, uploadEvents.EVENT_TYPES.STATUS_CHANGE, { status, failedChunks });
+      
+      console.log(`Upload ${id} reopened for repair (chunks: ${failedChunks.join(', ')})`);
+    }
+    
+    res.json({
+      uploadId: id,
+      status,
+      totalChunks: chunks.length,
+      verifiedChunks: chunks.length - unverifiableChunks.length,
+      failedChunks,
+      unverifiableChunks,
+      repairRequired: failedChunks.length > 0
+    });
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Upload verification failed:', error);
+    res.status(500).json({
+      error: 'Upload verification failed',
+      details: error.message
+    });
+  } finally {
+    if (copyPath) {
+      await fileUtils.safeDeleteFile(copyPath);
+    }
+    
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * Parse /contents query options
+ * @returns {Object} - { options } or { error } with a message for a 400
+ */
+function parseContentsQuery(query) {
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const limit = query.limit === undefined ? CONTENTS_DEFAULT_LIMIT : Number(query.limit);
+  const depth = query.depth === undefined ? undefined : Number(query.depth);
+  const sort = query.sort || 'index';
+  const order = query.order || 'asc';
+  
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > CONTENTS_MAX_LIMIT) {
+    return { error: `limit must be an integer from 1 to ${CONTENTS_MAX_LIMIT}` };
+  }
+  
+  if (depth !== undefined && (!Number.isInteger(depth) || depth < 1)) {
+    return { error: 'depth must be a positive integer' };
+  }
+  
+  if (!zipIndexService.SORT_COLUMNS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(zipIndexService.SORT_COLUMNS).join(', ')}` };
+  }
+  
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+  
+  for (const name of ['prefix', 'glob']) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      return { error: `${name} must be a single string` };
+    }
+  }
+  
+  return {
+    options: {
+      offset,
+      limit,
+      depth,
+      sort,
+      order,
+      prefix: query.prefix || null,
+      glob: query.glob || null,
+      tree: query.tree === 'true'
+    }
+  };
+}
+
+/**
+ * List ZIP contents from the zip_entries index
+ * Flat pages by default (offset/limit); tree=true nests directories with
+ * aggregated sizes. With depth=1 the tree is one level, aggregated in SQL
+ * and paged with offset/limit. All accept prefix, glob, sort and order.
+ */
+async function getZipContents(req, res) {
+  const { id } = req.params;
+  
+  const { options, error: queryError } = parseContentsQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+  
+  try {
+    const [uploads] = await db.query(
+      `SELECT id, file_path, status, entry_count FROM uploads WHERE id = ?`,
+      [id]
+    );
+    
+    if (uploads.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    const upload = uploads[0];
+    
+    if (upload.status !== 'COMPLETED') {
+      return res.status(400).json({
         error: `Upload not completed (status: ${upload.status})`
       });
     }
     
-    // List ZIP contents using streaming
-    const contents = await zipUtils.listZipContents(upload.file_path);
+    const fileCount = await zipIndexService.ensureIndexed(upload);
+    
+    if (options.tree && options.depth === 1) {
+      const { total, childCount, tree } = await zipIndexService.listLevel(id, options);
+      
+      return res.json({
+        uploadId: id,
+        fileCount,
+        total,
+        childCount,
+        offset: options.offset,
+        limit: options.limit,
+        tree
+      });
+    }
+    
+    if (options.tree) {
+      const result = await zipIndexService.buildTree(id, options);
+      
+      if (!result) {
+        return res.status(400).json({
+          error: `More than ${zipIndexService.TREE_MAX_ENTRIES} entries match; use depth=1 and expand directories one level at a time`
+        });
+      }
+      
+      return res.json({
+        uploadId: id,
+        fileCount,
+        total: result.total,
+        tree: result.tree
+      });
+    }
+    
+    const { total, entries } = await zipIndexService.listEntries(id, options);
     
     res.json({
       uploadId: id,
-      fileCount: contents.length,
-      contents
+      fileCount,
+      total,
+      offset: options.offset,
+      limit: options.limit,
+      contents: entries
     });
     
   } catch (error) {
@@ -390,9 +1467,229 @@ async function getZipContents(req, res) {
   }
 }
 
+/**
+ * Check an extraction filter list: omitted, or an array of non-empty glob strings
+ * @returns {string|null} - Error message for a 400
+ */
+function validatePatterns(name, patterns) {
+  if (patterns === undefined) {
+    return null;
+  }
+  
+  if (!Array.isArray(patterns) || patterns.some(p => typeof p !== 'string' || p.length === 0)) {
+    return `${name} must be an array of non-empty glob strings`;
+  }
+  
+  if (patterns.length > EXTRACT_MAX_PATTERNS) {
+    return `${name} accepts at most ${EXTRACT_MAX_PATTERNS} patterns`;
+  }
+  
+  return null;
+}
+
+/**
+ * Queue extraction of a completed upload into EXTRACT_DIR/<id>
+ * Optional include/exclude glob lists pick the entries; progress is
+ * reported under "extraction" in /upload/:id/status.
+ */
+async function extractUpload(req, res) {
+  const { id } = req.params;
+  const { include, exclude } = req.body || {};
+  
+  const patternError = validatePatterns('include', include) || validatePatterns('exclude', exclude);
+  if (patternError) {
+    return res.status(400).json({ error: patternError });
+  }
+  
+  try {
+    const result = await extractionService.queueExtraction(id, { include, exclude });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    if (result.uploadStatus !== 'COMPLETED') {
+      return res.status(400).json({
+        error: `Upload not completed (status: ${result.uploadStatus})`
+      });
+    }
+    
+    if (!result.queued) {
+      return res.status(409).json({
+        error: `Extraction already ${result.extractionStatus.toLowerCase()}`,
+        extractionStatus: result.extractionStatus
+      });
+    }
+    
+    res.status(202).json({
+      uploadId: id,
+      extractionStatus: result.extractionStatus,
+      message: 'Extraction queued'
+    });
+    
+  } catch (error) {
+    console.error('Extraction request failed:', error);
+    res.status(500).json({
+      error: 'Failed to queue extraction',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Stream a completed upload back to the client
+ * Range, If-Range and conditional requests are handled by res.download;
+ * the ETag is the server-verified SHA-256 so it never changes for a file.
+ */
+async function downloadUpload(req, res) {
+  const { id } = req.params;
+  
+  try {
+    const [uploads] = await db.query(
+      `SELECT filename, file_path, status, final_hash FROM uploads WHERE id = ?`,
+      [id]
+    );
+    
+    if (uploads.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    const upload = uploads[0];
+    
+    if (upload.status !== 'COMPLETED') {
+      return res.status(400).json({
+        error: `Upload not completed (status: ${upload.status})`
+      });
+    }
+    
+    res.set('ETag', `"${upload.final_hash}"`);
+    
+    // etag: false keeps send() from replacing ours with a weak stat-based one;
+    // dotfiles: 'allow' because UPLOAD_DIR may sit under a dot directory
+    res.download(upload.file_path, upload.filename, { etag: false, dotfiles: 'allow' }, (error) => {
+      if (!error) {
+        return;
+      }
+      
+      if (res.headersSent) {
+        // Client went away mid-transfer; nothing left to answer
+        if (error.code !== 'ECONNABORTED' && error.code !== 'ECONNRESET') {
+          console.error(`Download of ${id} failed:`, error.message);
+        }
+        return;
+      }
+      
+      // Set for the file before send() failed; the error body is JSON
+      res.removeHeader('ETag');
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Type');
+      
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Upload file is missing on the server' });
+      }
+      
+      // 416 for an unsatisfiable Range, with its Content-Range header
+      if (error.status && error.status < 500) {
+        res.set(error.headers || {});
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      console.error('Download failed:', error);
+      res.status(500).json({
+        error: 'Download failed',
+        details: error.message
+      });
+    });
+    
+  } catch (error) {
+    console.error('Download failed:', error);
+    res.status(500).json({
+      error: 'Download failed',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Stream one decompressed entry of a completed ZIP upload
+ * Only that entry is inflated; nothing is extracted to disk.
+ */
+async function downloadZipEntry(req, res) {
+  const { id } = req.params;
+  const entryName = req.params[0];
+  
+  if (!entryName) {
+    return res.status(400).json({ error: 'Missing entry path' });
+  }
+  
+  if (entryName.endsWith('/')) {
+    return res.status(400).json({ error: 'Entry is a directory' });
+  }
+  
+  try {
+    const [uploads] = await db.query(
+      `SELECT file_path, status FROM uploads WHERE id = ?`,
+      [id]
+    );
+    
+    if (uploads.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    const upload = uploads[0];
+    
+    if (upload.status !== 'COMPLETED') {
+      return res.status(400).json({
+        error: `Upload not completed (status: ${upload.status})`
+      });
+    }
+    
+    const result = await zipUtils.openEntryStream(upload.file_path, entryName);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Entry not found', entry: entryName });
+    }
+    
+    const { entry, stream } = result;
+    
+    res.attachment(path.posix.basename(entryName));
+    res.set('Content-Length', String(entry.uncompressedSize));
+    
+    if (req.method === 'HEAD') {
+      stream.destroy();
+      return res.end();
+    }
+    
+    // On a corrupt entry the response is cut short of Content-Length, so
+    // the client sees a failed transfer rather than a truncated file
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`Streaming entry "${entryName}" of ${id} failed:`, error.message);
+      }
+    });
+    
+  } catch (error) {
+    console.error('Entry download failed:', error);
+    res.status(500).json({
+      error: 'Failed to read ZIP entry',
+      details: error.message
+    });
+  }
+}
+
 module.exports = {
   initializeUpload,
   uploadChunk,
+  rejectOversizeChunk,
+  putChunk,
   getUploadStatus,
-  getZipContents
+  getZipReport,
+  getChunkManifest,
+  streamUploadEvents,
+  deleteUpload,
+  verifyUpload,
+  getZipContents,
+  extractUpload,
+  downloadUpload,
+  downloadZipEntry
 };
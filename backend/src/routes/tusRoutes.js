@@ -0,0 +1,64 @@
+/**
+ * tus Routes
+ * tus 1.0 resumable upload endpoint backed by the same storage as /upload
+ */
+
+const express = require('express');
+const cors = require('cors');
+const tusController = require('../controllers/tusController');
+
+const router = express.Router();
+
+// tus clients must be able to read these from browsers, and OPTIONS
+// requests carry protocol discovery, so they are not answered by cors itself
+router.use(cors({
+  exposedHeaders: [
+    'Location',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Expires',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'Tus-Checksum-Algorithm'
+  ],
+  preflightContinue: true
+}));
+
+router.use(tusController.methodOverride);
+router.use(tusController.requireTusResumable);
+
+/**
+ * OPTIONS /files
+ * Protocol discovery (version, extensions, max size, checksum algorithms)
+ */
+router.options('/', tusController.getOptions);
+router.options('/:id', tusController.getOptions);
+
+/**
+ * POST /files
+ * Create upload (Upload-Length, Upload-Metadata)
+ */
+router.post('/', tusController.createUpload);
+
+/**
+ * HEAD /files/:id
+ * Get current Upload-Offset
+ */
+router.head('/:id', tusController.getOffset);
+
+/**
+ * PATCH /files/:id
+ * Append data at Upload-Offset
+ */
+router.patch('/:id', tusController.appendChunk);
+
+/**
+ * DELETE /files/:id
+ * Terminate upload
+ */
+router.delete('/:id', tusController.terminateUpload);
+
+module.exports = router;
@@ -7,6 +7,7 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const uploadController = require('../controllers/uploadController');
+const uploadConfig = require('../config/upload');
 
 const router = express.Router();
 
@@ -15,10 +16,23 @@ const router = express.Router();
 const upload = multer({
   dest: process.env.TEMP_DIR || './temp',
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB max (safety for 5MB chunks + overhead)
+    fileSize: uploadConfig.MAX_CHUNK_SIZE // largest chunk size /upload/init can hand out
   }
 });
 
+/**
+ * Multer rejects a chunk over MAX_CHUNK_SIZE before the controller runs;
+ * answer that like any other wrong chunk length, not as a server error
+ */
+function receiveChunk(req, res, next) {
+  upload.single('chunk')(req, res, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return uploadController.rejectOversizeChunk(req, res);
+    }
+    next(error);
+  });
+}
+
 /**
  * POST /upload/init
  * Initialize new upload session
@@ -29,7 +43,14 @@ router.post('/init', uploadController.initializeUpload);
  * POST /upload/chunk
  * Upload individual chunk
  */
-router.post('/chunk', upload.single('chunk'), uploadController.uploadChunk);
+router.post('/chunk', receiveChunk, uploadController.uploadChunk);
+
+/**
+ * PUT /upload/:id/chunks/:index
+ * Upload individual chunk as a raw body (application/octet-stream),
+ * streamed straight to its offset without a temp file
+ */
+router.put('/:id/chunks/:index', uploadController.putChunk);
 
 /**
  * GET /upload/:id/status
@@ -37,10 +58,59 @@ router.post('/chunk', upload.single('chunk'), uploadController.uploadChunk);
  */
 router.get('/:id/status', uploadController.getUploadStatus);
 
+/**
+ * GET /upload/:id/zip-report
+ * Full deep verification report (/status only summarizes it)
+ */
+router.get('/:id/zip-report', uploadController.getZipReport);
+
+/**
+ * GET /upload/:id/chunks
+ * Per-chunk manifest (index, status, received_at, byte length, hash);
+ * ?format=runs for a run-length encoded form
+ */
+router.get('/:id/chunks', uploadController.getChunkManifest);
+
+/**
+ * GET /upload/:id/events
+ * Server-Sent Events: chunk-received, status-change, hash-progress, result
+ */
+router.get('/:id/events', uploadController.streamUploadEvents);
+
+/**
+ * DELETE /upload/:id
+ * Cancel an upload (or delete a finished one) and remove its file
+ */
+router.delete('/:id', uploadController.deleteUpload);
+
+/**
+ * POST /upload/:id/verify
+ * Re-hash stored chunks and reopen corrupted ones for re-upload
+ */
+router.post('/:id/verify', uploadController.verifyUpload);
+
 /**
  * GET /upload/:id/contents
  * List ZIP file contents
  */
 router.get('/:id/contents', uploadController.getZipContents);
 
+/**
+ * POST /upload/:id/extract
+ * Queue extraction into EXTRACT_DIR/:id (optional include/exclude globs)
+ */
+router.post('/:id/extract', uploadController.extractUpload);
+
+/**
+ * GET /upload/:id/download
+ * Download the completed file (Range requests, ETag = SHA-256)
+ */
+router.get('/:id/download', uploadController.downloadUpload);
+
+/**
+ * GET /upload/:id/entries/*
+ * Stream one decompressed ZIP entry, e.g. /upload/:id/entries/docs/readme.txt
+ */
+router.get('/:id/entries/*', uploadController.downloadZipEntry);
+
 module.exports = router;
@@ -43,7 +43,7 @@ async function initDatabase() {
     await connection.query(schema);
     
     console.log('✅ Database initialized successfully');
-    console.log('📊 Tables created: uploads, chunks');
+    console.log('📊 Tables created: uploads, chunks, jobs, zip_entries, extractions');
     
   } catch (error) {
     console.error('❌ Database initialization failed:', error.message);
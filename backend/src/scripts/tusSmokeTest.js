@@ -0,0 +1,213 @@
+/**
+ * tus smoke test
+ * Runs tus-js-client against the exported Express app, in-process:
+ * 1. A full upload sent in several PATCHes
+ * 2. An upload whose first PATCH is cut off part-way, resumed by the client
+ *    from the offset the server kept
+ * Both must finalize to COMPLETED. Needs the database from `npm run init-db`.
+ *
+ * Usage: npm run test:tus
+ */
+
+// Small server chunks, so PATCHes cross chunk boundaries
+process.env.CHUNK_SIZE = process.env.CHUNK_SIZE || String(64 * 1024);
+
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+const tus = require('tus-js-client');
+const app = require('../server');
+const db = require('../config/database');
+const jobWorker = require('../services/jobWorker');
+const { crc32 } = require('../utils/zipUtils');
+
+const FILE_SIZE = 200 * 1024;
+const PATCH_SIZE = 48 * 1024;
+const FINALIZE_TIMEOUT = 60000;
+
+/**
+ * ZIP with one stored (uncompressed) entry
+ */
+function buildZip(name, data) {
+  const nameBuffer = Buffer.from(name);
+  const crc = crc32(data);
+  
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(0x21, 12); // 1980-01-01
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBuffer.length, 26);
+  
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(0x21, 14);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBuffer.length, 28);
+  
+  const centralOffset = local.length + nameBuffer.length + data.length;
+  const centralSize = central.length + nameBuffer.length;
+  
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  
+  return Buffer.concat([local, nameBuffer, data, central, nameBuffer, end]);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function tusUpload(buffer, options) {
+  return new Promise((resolve, reject) => {
+    const upload = new tus.Upload(buffer, {
+      chunkSize: PATCH_SIZE,
+      retryDelays: null,
+      metadata: { filename: 'smoke.zip' },
+      ...options,
+      onError: reject,
+      onSuccess: () => resolve(upload.url)
+    });
+    upload.start();
+  });
+}
+
+async function createUpload(baseUrl, size) {
+  const response = await fetch(`${baseUrl}/files`, {
+    method: 'POST',
+    headers: {
+      'Tus-Resumable': '1.0.0',
+      'Upload-Length': String(size),
+      'Upload-Metadata': `filename ${Buffer.from('smoke.zip').toString('base64')}`
+    }
+  });
+  
+  assert.strictEqual(response.status, 201);
+  return response.headers.get('Location');
+}
+
+async function getOffset(baseUrl, location) {
+  const response = await fetch(`${baseUrl}${location}`, {
+    method: 'HEAD',
+    headers: { 'Tus-Resumable': '1.0.0' }
+  });
+  
+  assert.strictEqual(response.status, 200);
+  return Number(response.headers.get('Upload-Offset'));
+}
+
+/**
+ * Send the first bytes of a PATCH that declares the whole body, then drop the connection
+ */
+function sendInterruptedPatch(baseUrl, location, body, sentBytes) {
+  return new Promise((resolve) => {
+    const request = http.request(`${baseUrl}${location}`, {
+      method: 'PATCH',
+      headers: {
+        'Tus-Resumable': '1.0.0',
+        'Upload-Offset': '0',
+        'Content-Type': 'application/offset+octet-stream',
+        'Content-Length': String(body.length)
+      }
+    });
+    
+    request.on('error', () => {});
+    request.write(body.subarray(0, sentBytes), () => {
+      setTimeout(() => {
+        request.destroy();
+        resolve();
+      }, 200);
+    });
+  });
+}
+
+async function waitForStatus(baseUrl, uploadId, expected) {
+  const deadline = Date.now() + FINALIZE_TIMEOUT;
+  
+  while (Date.now() < deadline) {
+    const response = await fetch(`${baseUrl}/upload/${uploadId}/status`);
+    const { upload } = await response.json();
+    
+    if (upload.status === expected) {
+      return;
+    }
+    
+    if (['FAILED', 'CANCELLED'].includes(upload.status)) {
+      throw new Error(`Upload ${uploadId} ended ${upload.status} (${upload.failure_reason})`);
+    }
+    
+    await sleep(500);
+  }
+  
+  throw new Error(`Upload ${uploadId} did not reach ${expected} within ${FINALIZE_TIMEOUT}ms`);
+}
+
+async function run(baseUrl, created) {
+  const zip = buildZip('data.bin', crypto.randomBytes(FILE_SIZE));
+  
+  console.log('1. Full upload in several PATCHes');
+  const url = await tusUpload(zip, { endpoint: `${baseUrl}/files` });
+  const uploadId = url.split('/').pop();
+  created.push(uploadId);
+  await waitForStatus(baseUrl, uploadId, 'COMPLETED');
+  console.log(`   ✓ ${uploadId} COMPLETED`);
+  
+  console.log('2. Interrupted PATCH, then resume');
+  const location = await createUpload(baseUrl, zip.length);
+  assert.ok(location.startsWith('/files/'), `Location should be relative, got ${location}`);
+  const resumedId = location.split('/').pop();
+  created.push(resumedId);
+  
+  const sentBytes = Math.floor(zip.length / 2);
+  await sendInterruptedPatch(baseUrl, location, zip, sentBytes);
+  
+  // The server notices the disconnect on its own schedule
+  let offset = 0;
+  for (let i = 0; i < 20 && offset === 0; i++) {
+    await sleep(100);
+    offset = await getOffset(baseUrl, location);
+  }
+  assert.ok(offset > 0 && offset <= sentBytes, `Expected a kept offset in (0, ${sentBytes}], got ${offset}`);
+  console.log(`   ✓ Kept ${offset} of ${sentBytes} bytes sent`);
+  
+  await tusUpload(zip, { endpoint: `${baseUrl}/files`, uploadUrl: `${baseUrl}${location}` });
+  await waitForStatus(baseUrl, resumedId, 'COMPLETED');
+  console.log(`   ✓ ${resumedId} resumed and COMPLETED`);
+}
+
+async function main() {
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const created = [];
+  
+  jobWorker.startWorker();
+  
+  try {
+    await run(baseUrl, created);
+    console.log('✅ tus smoke test passed');
+  } catch (error) {
+    console.error('❌ tus smoke test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    for (const uploadId of created) {
+      await fetch(`${baseUrl}/files/${uploadId}`, {
+        method: 'DELETE',
+        headers: { 'Tus-Resumable': '1.0.0' }
+      });
+    }
+    
+    await jobWorker.stopWorker();
+    server.close();
+    await db.end();
+  }
+}
+
+main();
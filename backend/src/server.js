@@ -4,24 +4,29 @@ const path = require('path');
 require('dotenv').config();
 
 const uploadRoutes = require('./routes/uploadRoutes');
+const tusRoutes = require('./routes/tusRoutes');
 const cleanupService = require('./services/cleanupService');
 const recoveryService = require('./services/recoveryService');
+const jobWorker = require('./services/jobWorker');
 const fileUtils = require('./utils/fileUtils');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
   // console.log('Body:', req.body); // uncomment for debugging
   next();
 });
 
+// tus endpoint handles its own CORS and raw bodies, so it goes first
+app.use('/files', tusRoutes);
+
+// Middleware (Retry-After is exposed so browsers can honour it on 503s)
+app.use(cors({ exposedHeaders: ['Retry-After'] }));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
 // Routes
 app.use('/upload', uploadRoutes);
 
@@ -55,9 +60,11 @@ async function startServer() {
     // Ensure directories exist
     const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
     const TEMP_DIR = process.env.TEMP_DIR || './temp';
+    const EXTRACT_DIR = process.env.EXTRACT_DIR || './extracted';
     
     await fileUtils.ensureDirectory(UPLOAD_DIR);
     await fileUtils.ensureDirectory(TEMP_DIR);
+    await fileUtils.ensureDirectory(EXTRACT_DIR);
     
     console.log('Directories initialized');
     
@@ -67,6 +74,11 @@ async function startServer() {
     // Start cleanup service for abandoned uploads
     cleanupService.startCleanupService();
     
+    // Finalization jobs; set JOB_WORKER_ENABLED=false when running `npm run worker` separately
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      jobWorker.startWorker();
+    }
+    
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -88,4 +100,9 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-startServer();
+// Started directly (npm start); tests and tus clients can require the app instead
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -1,5 +1,6 @@
 const db = require('../config/database');
 const fileUtils = require('../utils/fileUtils');
+const finalizationService = require('./finalizationService');
 
 const CLEANUP_INTERVAL = parseInt(process.env.CLEANUP_INTERVAL) || 3600000;
 const ABANDONED_TIMEOUT = parseInt(process.env.ABANDONED_UPLOAD_TIMEOUT) || 86400000;
@@ -15,7 +16,7 @@ async function cleanupAbandonedUploads() {
     const [abandonedUploads] = await db.query(
       `SELECT id, file_path, filename FROM uploads
        WHERE status = 'UPLOADING'
-       AND created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+       AND COALESCE(updated_at, created_at) < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
       [timeoutHours]
     );
     
@@ -32,9 +33,9 @@ async function cleanupAbandonedUploads() {
         await fileUtils.safeDeleteFile(upload.file_path);
         
         // Mark as FAILED in database
-        await db.query(
-          `UPDATE uploads SET status = 'FAILED' WHERE id = ?`,
-          [upload.id]
+        await finalizationService.markUploadFailed(
+          upload.id,
+          finalizationService.FAILURE_REASONS.ABANDONED
         );
         
         console.log(`✅ Cleaned up abandoned upload: ${upload.filename}`);
@@ -0,0 +1,334 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const fileUtils = require('../utils/fileUtils');
+const zipUtils = require('../utils/zipUtils');
+const { createGlobFilter } = require('../utils/globUtils');
+const jobQueue = require('./jobQueue');
+
+/**
+ * Extraction Service - Unpacks completed archives into EXTRACT_DIR/<uploadId>
+ *
+ * Requested through POST /upload/:id/extract and run as an EXTRACT_UPLOAD
+ * job. Each attempt extracts into its own staging directory, which only
+ * replaces the output directory once every entry is written.
+ */
+
+const EXTRACT_DIR = process.env.EXTRACT_DIR || './extracted';
+
+// Progress is written to the database at most this often
+const PROGRESS_INTERVAL = 1000;
+
+const EXTRACTION_STATUS = {
+  QUEUED: 'QUEUED',
+  EXTRACTING: 'EXTRACTING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+function getOutputDir(uploadId) {
+  return path.join(EXTRACT_DIR, uploadId);
+}
+
+function getStagingDir(uploadId, token) {
+  return path.join(EXTRACT_DIR, `${uploadId}.${token}.partial`);
+}
+
+/**
+ * Thrown from a progress update once another attempt (or a delete) has
+ * taken the extraction over; the attempt stops without touching the row
+ */
+function createSupersededError() {
+  const error = new Error('Extraction was superseded or removed');
+  error.superseded = true;
+  return error;
+}
+
+/**
+ * Queue an extraction of a COMPLETED upload
+ * @param {string} uploadId - Upload ID
+ * @param {Object} filter - { include: [globs], exclude: [globs] }
+ * @returns {Promise<Object|null>} - { uploadStatus, extractionStatus, queued }, or null if not found
+ */
+async function queueExtraction(uploadId, filter) {
+  let connection;
+  
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    const [uploads] = await connection.query(
+      `SELECT u.status, e.status as extraction_status
+       FROM uploads u LEFT JOIN extractions e ON e.upload_id = u.id
+       WHERE u.id = ? FOR UPDATE`,
+      [uploadId]
+    );
+    
+    if (uploads.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    
+    const { status, extraction_status: extractionStatus } = uploads[0];
+    const inProgress = extractionStatus === EXTRACTION_STATUS.QUEUED ||
+      extractionStatus === EXTRACTION_STATUS.EXTRACTING;
+    
+    if (status !== 'COMPLETED' || inProgress) {
+      await connection.rollback();
+      return { uploadStatus: status, extractionStatus, queued: false };
+    }
+    
+    // A finished extraction is replaced by the new one
+    await connection.query(
+      `INSERT INTO extractions (upload_id, status, entry_filter, created_at, updated_at)
+       VALUES (?, 'QUEUED', ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE status = 'QUEUED', entry_filter = VALUES(entry_filter), attempt_token = NULL,
+       total_entries = NULL, extracted_entries = 0, total_bytes = NULL, extracted_bytes = 0,
+       skipped_entries = 0, error = NULL, updated_at = NOW(), completed_at = NULL`,
+      [uploadId, JSON.stringify(filter)]
+    );
+    
+    await jobQueue.enqueue(connection, jobQueue.JOB_TYPES.EXTRACT_UPLOAD, uploadId);
+    
+    await connection.commit();
+    
+    return { uploadStatus: status, extractionStatus: EXTRACTION_STATUS.QUEUED, queued: true };
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * Claim the extraction for this attempt
+ * A retried job takes over from an attempt that timed out; the old attempt
+ * notices on its next progress update and stops.
+ * @returns {Promise<Object|null>} - { filePath, filter }, or null if there is nothing to extract
+ */
+async function claimExtraction(uploadId, token) {
+  const [result] = await db.query(
+    `UPDATE extractions e JOIN uploads u ON u.id = e.upload_id
+     SET e.status = 'EXTRACTING', e.attempt_token = ?, e.extracted_entries = 0, e.extracted_bytes = 0,
+     e.skipped_entries = 0, e.updated_at = NOW()
+     WHERE e.upload_id = ? AND e.status IN ('QUEUED', 'EXTRACTING') AND u.status = 'COMPLETED'`,
+    [token, uploadId]
+  );
+  
+  if (result.affectedRows === 0) {
+    return null;
+  }
+  
+  const [rows] = await db.query(
+    `SELECT u.file_path, e.entry_filter FROM uploads u JOIN extractions e ON e.upload_id = u.id
+     WHERE u.id = ?`,
+    [uploadId]
+  );
+  
+  return { filePath: rows[0].file_path, filter: rows[0].entry_filter || {} };
+}
+
+/**
+ * Update this attempt's row, or throw if it no longer owns the extraction
+ */
+async function updateOwnedExtraction(uploadId, token, assignments, params) {
+  const [result] = await db.query(
+    `UPDATE extractions SET ${assignments}, updated_at = NOW()
+     WHERE upload_id = ? AND attempt_token = ?`,
+    [...params, uploadId, token]
+  );
+  
+  if (result.affectedRows === 0) {
+    throw createSupersededError();
+  }
+}
+
+/**
+ * Extract an upload (EXTRACT_UPLOAD job handler)
+ * Failures mark the extraction FAILED and remove what was written; the job
+ * is not retried, since a bad entry will be just as bad next time.
+ * @param {string} uploadId - Upload ID
+ */
+async function extractUpload(uploadId) {
+  const token = uuidv4();
+  const claim = await claimExtraction(uploadId, token);
+  
+  if (!claim) {
+    console.log(`Extraction of ${uploadId} skipped (not queued, or upload no longer completed)`);
+    return;
+  }
+  
+  const filter = createGlobFilter(claim.filter);
+  const stagingDir = getStagingDir(uploadId, token);
+  const outputDir = getOutputDir(uploadId);
+  
+  console.log(`Extracting upload ${uploadId} into ${outputDir}...`);
+  
+  try {
+    // Totals first, from the central directory alone, so progress has a denominator
+    let totalEntries = 0;
+    let totalBytes = 0;
+    
+    await zipUtils.forEachEntry(claim.filePath, (entry) => {
+      if (!entry.isDirectory && !entry.isSymlink && filter(entry.name)) {
+        totalEntries++;
+        totalBytes += entry.size;
+      }
+    });
+    
+    await updateOwnedExtraction(uploadId, token, 'total_entries = ?, total_bytes = ?', [totalEntries, totalBytes]);
+    
+    await fileUtils.ensureDirectory(stagingDir);
+    
+    let lastUpdate = Date.now();
+    
+    const result = await zipUtils.extractEntries(claim.filePath, stagingDir, {
+      filter,
+      onProgress: async ({ entries, bytes }) => {
+        if (Date.now() - lastUpdate < PROGRESS_INTERVAL) {
+          return;
+        }
+        lastUpdate = Date.now();
+        
+        await updateOwnedExtraction(
+          uploadId,
+          token,
+          'extracted_entries = ?, extracted_bytes = ?',
+          [entries, bytes]
+        );
+      }
+    });
+    
+    await fileUtils.removeDirectory(outputDir);
+    await fs.rename(stagingDir, outputDir);
+    
+    try {
+      await updateOwnedExtraction(
+        uploadId,
+        token,
+        `status = 'COMPLETED', output_dir = ?, extracted_entries = ?, extracted_bytes = ?,
+         skipped_entries = ?, completed_at = NOW()`,
+        [outputDir, result.entries, result.bytes, result.skipped]
+      );
+    } catch (error) {
+      // Deleted while the directory was being moved into place
+      await fileUtils.removeDirectory(outputDir);
+      throw error;
+    }
+    
+    console.log(`Extracted ${result.entries} entries (${result.bytes} bytes) of ${uploadId}`);
+    
+  } catch (error) {
+    await fileUtils.removeDirectory(stagingDir);
+    
+    if (error.superseded) {
+      console.log(`Extraction attempt for ${uploadId} stopped: ${error.message}`);
+      return;
+    }
+    
+    console.error(`Extraction of ${uploadId} failed:`, error.message);
+    
+    await db.query(
+      `UPDATE extractions SET status = 'FAILED', error = ?, updated_at = NOW()
+       WHERE upload_id = ? AND attempt_token = ?`,
+      [String(error.message).substring(0, 1000), uploadId, token]
+    );
+  }
+}
+
+/**
+ * Mark a queued or running extraction FAILED (dead-lettered job)
+ * @param {string} uploadId - Upload ID
+ * @param {string} message - Why it failed
+ */
+async function markExtractionFailed(uploadId, message) {
+  await db.query(
+    `UPDATE extractions SET status = 'FAILED', error = ?, updated_at = NOW()
+     WHERE upload_id = ? AND status IN ('QUEUED', 'EXTRACTING')`,
+    [String(message).substring(0, 1000), uploadId]
+  );
+}
+
+/**
+ * Delete an upload's extraction: its row, output and any staging directories
+ * A running attempt finds its row gone and stops on its next progress update.
+ * @param {string} uploadId - Upload ID
+ */
+async function removeExtraction(uploadId) {
+  await db.query(`DELETE FROM extractions WHERE upload_id = ?`, [uploadId]);
+  
+  await fileUtils.removeDirectory(getOutputDir(uploadId));
+  
+  let names = [];
+  try {
+    names = await fs.readdir(EXTRACT_DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  
+  for (const name of names) {
+    if (name.startsWith(`${uploadId}.`) && name.endsWith('.partial')) {
+      await fileUtils.removeDirectory(path.join(EXTRACT_DIR, name));
+    }
+  }
+}
+
+/**
+ * Extraction state for /upload/:id/status
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} - null if no extraction was ever requested
+ */
+async function getExtractionStatus(uploadId) {
+  const [rows] = await db.query(
+    `SELECT status, entry_filter, output_dir, total_entries, extracted_entries, total_bytes,
+     extracted_bytes, skipped_entries, error, created_at, completed_at
+     FROM extractions WHERE upload_id = ?`,
+    [uploadId]
+  );
+  
+  if (rows.length === 0) {
+    return null;
+  }
+  
+  const row = rows[0];
+  
+  let percentage = null;
+  if (row.status === EXTRACTION_STATUS.COMPLETED) {
+    percentage = 100;
+  } else if (row.total_bytes) {
+    percentage = Math.floor((row.extracted_bytes / row.total_bytes) * 100);
+  }
+  
+  return {
+    status: row.status,
+    filter: row.entry_filter,
+    outputDir: row.output_dir,
+    totalEntries: row.total_entries,
+    extractedEntries: row.extracted_entries,
+    totalBytes: row.total_bytes,
+    extractedBytes: row.extracted_bytes,
+    skippedEntries: row.skipped_entries,
+    percentage,
+    error: row.error,
+    requestedAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+module.exports = {
+  EXTRACTION_STATUS,
+  queueExtraction,
+  extractUpload,
+  markExtractionFailed,
+  removeExtraction,
+  getExtractionStatus
+};
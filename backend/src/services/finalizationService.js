@@ -0,0 +1,360 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const fileUtils = require('../utils/fileUtils');
+const hashUtils = require('../utils/hashUtils');
+const zipUtils = require('../utils/zipUtils');
+const zipPolicy = require('../utils/zipPolicy');
+const uploadConfig = require('../config/upload');
+const uploadEvents = require('./uploadEvents');
+const hashStateService = require('./hashStateService');
+const zipIndexService = require('./zipIndexService');
+
+/**
+ * Finalization Service - Verifies an assembled upload before it is COMPLETED
+ *
+ * Runs as a FINALIZE_UPLOAD job (see jobQueue/jobWorker), so it may execute
+ * in a separate worker process and is retried if that process dies.
+ */
+
+const FAILURE_REASONS = {
+  FILE_MISSING: 'FILE_MISSING',
+  SIZE_MISMATCH: 'SIZE_MISMATCH',
+  HASH_MISMATCH: 'HASH_MISMATCH',
+  INVALID_ZIP: 'INVALID_ZIP',
+  CORRUPT_ZIP_ENTRY: 'CORRUPT_ZIP_ENTRY',
+  ZIP_POLICY_VIOLATION: 'ZIP_POLICY_VIOLATION',
+  ABANDONED: 'ABANDONED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Create an error carrying a machine-readable failure reason
+ * @param {string} reason - One of FAILURE_REASONS
+ * @param {string} message - Human-readable description
+ * @returns {Error}
+ */
+function createFinalizationError(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Check the central directory against the ZIP safety policy
+ * Violations are stored on the upload so /upload/:id/status can list them.
+ * @param {Object} upload - Upload row
+ */
+async function enforceZipPolicy(upload) {
+  const policy = uploadConfig.ZIP_POLICY;
+  
+  let directory;
+  try {
+    directory = await zipUtils.readCentralDirectory(upload.file_path, { maxEntries: policy.maxEntries });
+  } catch (error) {
+    throw createFinalizationError(FAILURE_REASONS.INVALID_ZIP, `Invalid ZIP file: ${error.message}`);
+  }
+  
+  const result = zipPolicy.evaluateZipPolicy(directory, policy);
+  
+  if (result.passed) {
+    return;
+  }
+  
+  await db.query(
+    `UPDATE uploads SET policy_violations = ? WHERE id = ?`,
+    [JSON.stringify(result), upload.id]
+  );
+  
+  const codes = [...new Set(result.violations.map(v => v.code))];
+  throw createFinalizationError(
+    FAILURE_REASONS.ZIP_POLICY_VIOLATION,
+    `ZIP safety policy violated: ${codes.join(', ')}`
+  );
+}
+
+/**
+ * Decompress and CRC-check every entry, and store the per-entry report
+ * @param {Object} upload - Upload row
+ */
+async function deepVerifyZip(upload) {
+  console.log(`Deep-verifying ZIP entries for ${upload.id}...`);
+  
+  let report;
+  try {
+    report = await zipUtils.verifyZipEntries(upload.file_path);
+  } catch (error) {
+    throw createFinalizationError(FAILURE_REASONS.INVALID_ZIP, `Invalid ZIP file: ${error.message}`);
+  }
+  
+  await db.query(
+    `UPDATE uploads SET zip_report = ? WHERE id = ?`,
+    [JSON.stringify(report), upload.id]
+  );
+  
+  if (!report.passed) {
+    throw createFinalizationError(
+      FAILURE_REASONS.CORRUPT_ZIP_ENTRY,
+      `${report.failedEntries} of ${report.totalEntries} ZIP entries failed verification`
+    );
+  }
+  
+  console.log(`All ${report.totalEntries} ZIP entries verified for ${upload.id}`);
+}
+
+/**
+ * Verify size, whole-file hash and ZIP structure of an assembled upload
+ * Uploads created with deep verification also get every entry CRC-checked,
+ * after the safety policy so a zip bomb is rejected without being decompressed.
+ * @param {Object} upload - Upload row (id, file_path, total_size, file_hash, deep_verify, hash_offset, hash_state)
+ * @returns {Promise<string>} - SHA-256 hex of the assembled file
+ */
+async function verifyAssembledFile(upload) {
+  const actualSize = await fileUtils.getFileSize(upload.file_path);
+  if (actualSize !== upload.total_size) {
+    throw createFinalizationError(
+      FAILURE_REASONS.SIZE_MISMATCH,
+      `File size mismatch: expected ${upload.total_size}, got ${actualSize}`
+    );
+  }
+  
+  console.log(`Calculating SHA-256 hash for ${upload.id}...`);
+  
+  // Report whole percentages only; read streams fire every 64KB
+  let lastPercent = -1;
+  const reportProgress = (bytesHashed) => {
+    const percent = Math.floor((bytesHashed / upload.total_size) * 100);
+    if (percent !== lastPercent) {
+      lastPercent = percent;
+      uploadEvents.publish(upload.id, uploadEvents.EVENT_TYPES.HASH_PROGRESS, {
+        bytesHashed,
+        totalBytes: upload.total_size,
+        percent
+      });
+    }
+  };
+  
+  // Most of the file was usually hashed while chunks arrived (hashStateService)
+  let { hash: finalHash, resumedFrom } = await hashStateService.finishFileHash(upload, reportProgress);
+  
+  // Never fail an upload on a saved state alone; confirm with a full pass
+  if (upload.file_hash && upload.file_hash !== finalHash && resumedFrom > 0) {
+    console.warn(`Resumed hash of ${upload.id} does not match, re-hashing the whole file`);
+    lastPercent = -1;
+    finalHash = await hashUtils.calculateFileHash(upload.file_path, reportProgress);
+  }
+  
+  // Compare against the hash the client declared at /upload/init
+  if (upload.file_hash && upload.file_hash !== finalHash) {
+    throw createFinalizationError(
+      FAILURE_REASONS.HASH_MISMATCH,
+      `File hash mismatch: expected ${upload.file_hash}, got ${finalHash}`
+    );
+  }
+  
+  const isValid = await zipUtils.isValidZip(upload.file_path);
+  if (!isValid) {
+    throw createFinalizationError(FAILURE_REASONS.INVALID_ZIP, 'Invalid ZIP file');
+  }
+  
+  if (uploadConfig.ZIP_POLICY.enabled) {
+    await enforceZipPolicy(upload);
+  }
+  
+  if (upload.deep_verify) {
+    await deepVerifyZip(upload);
+  }
+  
+  return finalHash;
+}
+
+/**
+ * Mark a verified upload as COMPLETED and announce the result
+ * Only a PROCESSING upload whose index this attempt wrote is completed, so
+ * a cancellation or a later attempt that raced with finalization wins.
+ * @param {string} uploadId - Upload ID
+ * @param {string} finalHash - SHA-256 hex of the assembled file
+ * @param {string} indexToken - Attempt that indexed the entries
+ * @returns {Promise<boolean>} - false if the upload was no longer PROCESSING or indexed by another attempt
+ */
+async function markUploadCompleted(uploadId, finalHash, indexToken) {
+  const [result] = await db.query(
+    `UPDATE uploads SET status = 'COMPLETED', final_hash = ?, completed_at = NOW(), updated_at = NOW()
+     WHERE id = ? AND status = 'PROCESSING' AND index_token = ?`,
+    [finalHash, uploadId, indexToken]
+  );
+  
+  if (result.affectedRows === 0) {
+    return false;
+  }
+  
+  uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.STATUS_CHANGE, { status: 'COMPLETED' });
+  uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.RESULT, { status: 'COMPLETED', finalHash });
+  
+  return true;
+}
+
+/**
+ * Mark upload as FAILED with a reason
+ * Only an upload still UPLOADING or PROCESSING fails: a cancellation that
+ * raced with finalization wins, and a stale or timed-out job attempt cannot
+ * undo a COMPLETED upload.
+ * @param {string} uploadId - Upload ID
+ * @param {string} reason - One of FAILURE_REASONS
+ * @param {string} [message] - Human-readable description sent to event listeners
+ * @returns {Promise<boolean>} - false if the upload had already settled
+ */
+async function markUploadFailed(uploadId, reason, message) {
+  const failureReason = reason || FAILURE_REASONS.INTERNAL_ERROR;
+  
+  const [result] = await db.query(
+    `UPDATE uploads SET status = 'FAILED', failure_reason = ?, updated_at = NOW()
+     WHERE id = ? AND status IN ('UPLOADING', 'PROCESSING')`,
+    [failureReason, uploadId]
+  );
+  
+  if (result.affectedRows === 0) {
+    return false;
+  }
+  
+  uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.STATUS_CHANGE, { status: 'FAILED' });
+  uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.RESULT, {
+    status: 'FAILED',
+    reason: failureReason,
+    error: message || null
+  });
+  
+  return true;
+}
+
+/**
+ * Lock the upload and move it to PROCESSING
+ * An upload already PROCESSING belongs to a retried or reclaimed job and is
+ * verified again; any other status means there is nothing left to do.
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} - Upload row, or null to skip
+ */
+async function beginProcessing(uploadId) {
+  let connection;
+  
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    // CRITICAL: Lock row with FOR UPDATE to prevent double finalization
+    const [uploads] = await connection.query(
+      `SELECT id, file_path, total_size, status, file_hash, final_hash, deep_verify, hash_offset, hash_state
+       FROM uploads WHERE id = ? FOR UPDATE`,
+      [uploadId]
+    );
+    
+    if (uploads.length === 0) {
+      console.error(`Upload ${uploadId} not found during finalization`);
+      await connection.rollback();
+      return null;
+    }
+    
+    const upload = uploads[0];
+    
+    if (upload.status !== 'UPLOADING' && upload.status !== 'PROCESSING') {
+      console.log(`Upload ${uploadId} already finalized (status: ${upload.status})`);
+      await connection.rollback();
+      return null;
+    }
+    
+    if (upload.status === 'UPLOADING') {
+      await connection.query(
+        `UPDATE uploads SET status = 'PROCESSING', updated_at = NOW()
+         WHERE id = ?`,
+        [uploadId]
+      );
+    }
+    
+    await connection.commit();
+    
+    if (upload.status === 'UPLOADING') {
+      uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.STATUS_CHANGE, { status: 'PROCESSING' });
+    }
+    
+    return upload;
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * Finalize an upload once every chunk is in (FINALIZE_UPLOAD job handler)
+ * A file that fails verification marks the upload FAILED and the job is
+ * done; any other error is thrown so the job queue retries it.
+ * @param {string} uploadId - Upload ID
+ */
+async function finalizeUpload(uploadId) {
+  const upload = await beginProcessing(uploadId);
+  
+  if (!upload) {
+    return;
+  }
+  
+  console.log(`Finalizing upload ${uploadId}...`);
+  
+  let finalHash;
+  try {
+    finalHash = await verifyAssembledFile(upload);
+  } catch (error) {
+    if (!error.reason) {
+      throw error;
+    }
+    
+    console.error(`Finalization failed for ${uploadId}:`, error.message);
+    
+    // Mark as FAILED with the reason reported by /upload/:id/status
+    await markUploadFailed(uploadId, error.reason, error.message);
+    return;
+  }
+  
+  // Listed by /upload/:id/contents, so it must exist before COMPLETED does.
+  // A job attempt that timed out may still be running; the index belongs to
+  // whichever attempt claimed it last.
+  const indexToken = uuidv4();
+  let entryCount;
+  try {
+    entryCount = await zipIndexService.indexZipEntries(uploadId, upload.file_path, {
+      token: indexToken,
+      status: 'PROCESSING'
+    });
+  } catch (error) {
+    if (!error.superseded) {
+      throw error;
+    }
+    
+    console.log(`Indexing of ${uploadId} stopped: taken over by another attempt or no longer PROCESSING`);
+    return;
+  }
+  console.log(`Indexed ${entryCount} ZIP entries for ${uploadId}`);
+  
+  // Mark as COMPLETED (unless DELETE /upload/:id cancelled it meanwhile)
+  const completed = await markUploadCompleted(uploadId, finalHash, indexToken);
+  
+  if (!completed) {
+    console.log(`Upload ${uploadId} is no longer PROCESSING (cancelled or finalized by another attempt)`);
+    return;
+  }
+  
+  console.log(`Upload ${uploadId} finalized successfully (hash: ${finalHash.substring(0, 16)}...)`);
+}
+
+module.exports = {
+  FAILURE_REASONS,
+  createFinalizationError,
+  verifyAssembledFile,
+  markUploadCompleted,
+  markUploadFailed,
+  finalizeUpload
+};
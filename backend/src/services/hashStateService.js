@@ -0,0 +1,165 @@
+const db = require('../config/database');
+const hashUtils = require('../utils/hashUtils');
+const uploadConfig = require('../config/upload');
+
+/**
+ * Hash State Service - Running SHA-256 of each upload, advanced as chunks arrive
+ *
+ * uploads.hash_state is the saved hasher state after the first hash_offset
+ * bytes, always the end of a run of SUCCESS chunks from the start of the
+ * file. Each recorded chunk extends that run as far as it is contiguous, so
+ * finalization only has to hash the tail. Chunks that arrive far out of
+ * order leave the run behind, and finalization then hashes whatever remains,
+ * up to the whole file.
+ */
+
+// Uploads being advanced in this process; a chunk landing meanwhile asks for another pass
+const advancing = new Map();
+
+/**
+ * Advance an upload's hash state in the background
+ * Never throws; a failed pass just leaves more for finalization.
+ * @param {string} uploadId - Upload ID
+ */
+function scheduleAdvance(uploadId) {
+  if (!uploadConfig.INCREMENTAL_HASH) {
+    return;
+  }
+  
+  const pending = advancing.get(uploadId);
+  if (pending) {
+    pending.again = true;
+    return;
+  }
+  
+  const entry = { again: false };
+  advancing.set(uploadId, entry);
+  
+  const run = async () => {
+    do {
+      entry.again = false;
+      await advanceHashState(uploadId);
+    } while (entry.again);
+  };
+  
+  run()
+    .catch((error) => {
+      console.error(`Incremental hash of ${uploadId} failed:`, error.message);
+    })
+    .finally(() => {
+      advancing.delete(uploadId);
+    });
+}
+
+/**
+ * Load a saved state, or null if there is none or it cannot be read
+ * (e.g. saved by a different hash-wasm version)
+ */
+async function loadSavedHash(upload) {
+  if (upload.hash_offset === 0 || !upload.hash_state) {
+    return null;
+  }
+  
+  try {
+    return await hashUtils.createResumableHash(upload.hash_state);
+  } catch (error) {
+    console.warn(`Discarding unreadable hash state of ${upload.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Hash the contiguous SUCCESS chunks after hash_offset and save the new state
+ * The save is conditional on hash_offset, so concurrent passes (or other
+ * instances) cannot move it backwards or skip bytes.
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<number|null>} - New hash_offset, or null if nothing changed
+ */
+async function advanceHashState(uploadId) {
+  const [uploads] = await db.query(
+    `SELECT id, file_path, total_size, chunk_size, status, hash_offset, hash_state FROM uploads WHERE id = ?`,
+    [uploadId]
+  );
+  
+  if (uploads.length === 0 || uploads[0].status !== 'UPLOADING') {
+    return null;
+  }
+  
+  const upload = uploads[0];
+  
+  let hasher = await loadSavedHash(upload);
+  let start = upload.hash_offset;
+  
+  if (!hasher) {
+    hasher = await hashUtils.createResumableHash(null);
+    start = 0;
+  }
+  
+  const firstChunk = Math.floor(start / upload.chunk_size);
+  
+  const [chunks] = await db.query(
+    `SELECT chunk_index FROM chunks
+     WHERE upload_id = ? AND chunk_index >= ? AND status = 'SUCCESS'
+     ORDER BY chunk_index`,
+    [uploadId, firstChunk]
+  );
+  
+  let lastChunk = firstChunk - 1;
+  for (const chunk of chunks) {
+    if (chunk.chunk_index !== lastChunk + 1) {
+      break;
+    }
+    lastChunk++;
+  }
+  
+  const end = Math.min((lastChunk + 1) * upload.chunk_size, upload.total_size);
+  
+  if (end <= start) {
+    return null;
+  }
+  
+  await hashUtils.updateHashFromFile(hasher, upload.file_path, start, end);
+  
+  const [result] = await db.query(
+    `UPDATE uploads SET hash_offset = ?, hash_state = ?
+     WHERE id = ? AND hash_offset = ? AND status = 'UPLOADING'`,
+    [end, Buffer.from(hasher.save()), uploadId, upload.hash_offset]
+  );
+  
+  return result.affectedRows > 0 ? end : null;
+}
+
+/**
+ * SHA-256 of the whole assembled file, resuming from the saved state
+ * Falls back to hashing from the start when there is no usable state.
+ * @param {Object} upload - Upload row (id, file_path, total_size, hash_offset, hash_state)
+ * @param {Function} [onProgress] - Called with the number of bytes hashed so far (saved ones included)
+ * @returns {Promise<Object>} - { hash, resumedFrom } (resumedFrom is 0 for a full hash)
+ */
+async function finishFileHash(upload, onProgress) {
+  let hasher = await loadSavedHash(upload);
+  let resumedFrom = upload.hash_offset;
+  
+  if (!hasher) {
+    hasher = await hashUtils.createResumableHash(null);
+    resumedFrom = 0;
+  }
+  
+  if (resumedFrom > 0) {
+    console.log(`Resuming SHA-256 of ${upload.id} at byte ${resumedFrom} (${upload.total_size - resumedFrom} bytes left)`);
+  }
+  
+  await hashUtils.updateHashFromFile(hasher, upload.file_path, resumedFrom, upload.total_size, (bytesRead) => {
+    if (onProgress) {
+      onProgress(resumedFrom + bytesRead);
+    }
+  });
+  
+  return { hash: hasher.digest('hex'), resumedFrom };
+}
+
+module.exports = {
+  scheduleAdvance,
+  advanceHashState,
+  finishFileHash
+};
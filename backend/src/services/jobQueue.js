@@ -0,0 +1,213 @@
+const db = require('../config/database');
+
+/**
+ * Job Queue - Durable background jobs stored in the MySQL jobs table
+ *
+ * Any number of workers (in the API process or a separate `npm run worker`)
+ * claim jobs with SELECT ... FOR UPDATE SKIP LOCKED, so each job runs on one
+ * worker at a time. Failed jobs are retried with exponential backoff and
+ * dead-lettered (status DEAD) after max_attempts.
+ */
+
+const JOB_TYPES = {
+  FINALIZE_UPLOAD: 'FINALIZE_UPLOAD',
+  EXTRACT_UPLOAD: 'EXTRACT_UPLOAD'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY = parseInt(process.env.JOB_RETRY_BASE_DELAY) || 5000;
+const RETRY_MAX_DELAY = parseInt(process.env.JOB_RETRY_MAX_DELAY) || 600000;
+const JOB_TIMEOUT = parseInt(process.env.JOB_TIMEOUT) || 900000;
+
+// Extracting a large archive writes far more than finalization reads
+const JOB_TIMEOUTS = {
+  [JOB_TYPES.EXTRACT_UPLOAD]: parseInt(process.env.EXTRACT_JOB_TIMEOUT) || 3600000
+};
+
+// A crashed worker's lease runs out this long after the job's own timeout
+const LEASE_GRACE = 60000;
+
+/**
+ * How long one attempt of a job type may run
+ * @param {string} type - One of JOB_TYPES
+ * @returns {number} - Milliseconds
+ */
+function getJobTimeout(type) {
+  return JOB_TIMEOUTS[type] || JOB_TIMEOUT;
+}
+
+/**
+ * Queue a job unless the same job is already waiting or running
+ * @param {Object} connection - Pool or connection (joins its transaction if one is open)
+ * @param {string} type - One of JOB_TYPES
+ * @param {string} uploadId - Upload the job works on
+ * @returns {Promise<boolean>} - false if an active job already existed
+ */
+async function enqueue(connection, type, uploadId) {
+  const [result] = await connection.query(
+    `INSERT INTO jobs (type, upload_id, status, max_attempts, run_at, created_at, updated_at)
+     SELECT ?, ?, 'PENDING', ?, NOW(), NOW(), NOW() FROM DUAL
+     WHERE NOT EXISTS (
+       SELECT 1 FROM jobs WHERE type = ? AND upload_id = ? AND status IN ('PENDING', 'RUNNING')
+     )`,
+    [type, uploadId, MAX_ATTEMPTS, type, uploadId]
+  );
+  
+  return result.affectedRows > 0;
+}
+
+/**
+ * Claim the next due job for a worker
+ * SKIP LOCKED lets concurrent workers pass over rows another worker is claiming.
+ * @param {string} workerId - Identifies the claiming worker in locked_by
+ * @returns {Promise<Object|null>} - Job row, or null if nothing is due
+ */
+async function claimJob(workerId) {
+  let connection;
+  
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    const [jobs] = await connection.query(
+      `SELECT id, type, upload_id, attempts, max_attempts FROM jobs
+       WHERE status = 'PENDING' AND run_at <= NOW()
+       ORDER BY run_at, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`
+    );
+    
+    if (jobs.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    
+    const job = jobs[0];
+    const leaseSeconds = Math.ceil((getJobTimeout(job.type) + LEASE_GRACE) / 1000);
+    
+    await connection.query(
+      `UPDATE jobs SET status = 'RUNNING', attempts = attempts + 1, locked_by = ?,
+       locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND), updated_at = NOW()
+       WHERE id = ?`,
+      [workerId, leaseSeconds, job.id]
+    );
+    
+    await connection.commit();
+    
+    return { ...job, attempts: job.attempts + 1 };
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+async function completeJob(job) {
+  await db.query(
+    `UPDATE jobs SET status = 'COMPLETED', locked_by = NULL, locked_until = NULL,
+     completed_at = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [job.id]
+  );
+}
+
+/**
+ * Delay before the next attempt: RETRY_BASE_DELAY doubled per attempt, capped
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Record a failed attempt: schedule a retry, or dead-letter the job
+ * @param {Object} job - Claimed job
+ * @param {Error} error - Why the attempt failed
+ * @returns {Promise<boolean>} - true if the job is now DEAD
+ */
+async function failJob(job, error) {
+  const isDead = job.attempts >= job.max_attempts;
+  const delaySeconds = Math.ceil(getRetryDelay(job.attempts) / 1000);
+  
+  await db.query(
+    `UPDATE jobs SET status = ?, last_error = ?, locked_by = NULL, locked_until = NULL,
+     run_at = DATE_ADD(NOW(), INTERVAL ? SECOND), updated_at = NOW()
+     WHERE id = ?`,
+    [isDead ? 'DEAD' : 'PENDING', String(error.message).substring(0, 1000), delaySeconds, job.id]
+  );
+  
+  return isDead;
+}
+
+/**
+ * Return jobs whose worker died mid-run to the queue
+ * A job past its lease counts as a failed attempt, so one that keeps
+ * crashing its worker is dead-lettered like any other.
+ * @returns {Promise<Array>} - Jobs that were dead-lettered by this call
+ */
+async function reapExpiredJobs() {
+  let connection;
+  
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    const [expired] = await connection.query(
+      `SELECT id, type, upload_id, attempts, max_attempts FROM jobs
+       WHERE status = 'RUNNING' AND locked_until < NOW()
+       FOR UPDATE SKIP LOCKED`
+    );
+    
+    const deadJobs = [];
+    
+    for (const job of expired) {
+      const isDead = job.attempts >= job.max_attempts;
+      
+      await connection.query(
+        `UPDATE jobs SET status = ?, last_error = 'Worker lease expired', locked_by = NULL,
+         locked_until = NULL, run_at = NOW(), updated_at = NOW()
+         WHERE id = ?`,
+        [isDead ? 'DEAD' : 'PENDING', job.id]
+      );
+      
+      if (isDead) {
+        deadJobs.push(job);
+      }
+    }
+    
+    await connection.commit();
+    
+    if (expired.length > 0) {
+      console.log(`Reaped ${expired.length} expired job(s), ${deadJobs.length} dead-lettered`);
+    }
+    
+    return deadJobs;
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+module.exports = {
+  JOB_TYPES,
+  getJobTimeout,
+  enqueue,
+  claimJob,
+  completeJob,
+  failJob,
+  reapExpiredJobs
+};
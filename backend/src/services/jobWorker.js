@@ -0,0 +1,143 @@
+const os = require('os');
+const jobQueue = require('./jobQueue');
+const finalizationService = require('./finalizationService');
+const extractionService = require('./extractionService');
+
+/**
+ * Job Worker - Polls the jobs table and runs one job at a time
+ *
+ * Runs inside the API process by default (JOB_WORKER_ENABLED=false turns
+ * that off) and standalone via `npm run worker`. Any number of workers can
+ * share one database.
+ */
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 1000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const { JOB_TYPES } = jobQueue;
+
+const JOB_HANDLERS = {
+  [JOB_TYPES.FINALIZE_UPLOAD]: (job) => finalizationService.finalizeUpload(job.upload_id),
+  [JOB_TYPES.EXTRACT_UPLOAD]: (job) => extractionService.extractUpload(job.upload_id)
+};
+
+// Run once a job has failed for the last time
+const DEAD_LETTER_HANDLERS = {
+  [JOB_TYPES.FINALIZE_UPLOAD]: (job, error) => finalizationService.markUploadFailed(
+    job.upload_id,
+    finalizationService.FAILURE_REASONS.INTERNAL_ERROR,
+    error.message
+  ),
+  [JOB_TYPES.EXTRACT_UPLOAD]: (job, error) => extractionService.markExtractionFailed(job.upload_id, error.message)
+};
+
+let running = false;
+let pollTimer = null;
+let activeJob = null;
+
+/**
+ * Reject if the promise has not settled within ms
+ * The handler keeps running, so handlers own their writes per attempt: the
+ * retry takes over and the old attempt stops at its next write
+ * (index_token in finalizeUpload, attempt_token in extractUpload).
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Job timed out after ${ms}ms`)), ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function deadLetter(job, error) {
+  console.error(`☠️ Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts: ${error.message}`);
+  
+  const handler = DEAD_LETTER_HANDLERS[job.type];
+  if (handler) {
+    await handler(job, error);
+  }
+}
+
+async function runJob(job) {
+  console.log(`▶️ Job ${job.id} (${job.type}) for ${job.upload_id}, attempt ${job.attempts}/${job.max_attempts}`);
+  
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    
+    await withTimeout(handler(job), jobQueue.getJobTimeout(job.type));
+    await jobQueue.completeJob(job);
+    
+    console.log(`✅ Job ${job.id} completed`);
+    
+  } catch (error) {
+    console.error(`❌ Job ${job.id} attempt ${job.attempts} failed:`, error.message);
+    
+    const isDead = await jobQueue.failJob(job, error);
+    if (isDead) {
+      await deadLetter(job, error);
+    }
+  }
+}
+
+async function poll() {
+  let claimed = false;
+  
+  try {
+    const deadJobs = await jobQueue.reapExpiredJobs();
+    for (const job of deadJobs) {
+      await deadLetter(job, new Error('Worker lease expired'));
+    }
+    
+    const job = await jobQueue.claimJob(WORKER_ID);
+    
+    if (job) {
+      claimed = true;
+      activeJob = runJob(job);
+      await activeJob;
+      activeJob = null;
+    }
+    
+  } catch (error) {
+    console.error('❌ Job worker poll failed:', error.message);
+  }
+  
+  // Drain the queue without waiting while there is work
+  if (running) {
+    pollTimer = setTimeout(poll, claimed ? 0 : POLL_INTERVAL);
+  }
+}
+
+/**
+ * Start polling for jobs
+ */
+function startWorker() {
+  if (running) {
+    return;
+  }
+  
+  running = true;
+  console.log(`👷 Job worker ${WORKER_ID} started (poll interval: ${POLL_INTERVAL}ms)`);
+  poll();
+}
+
+/**
+ * Stop polling and wait for the job in progress, if any
+ */
+async function stopWorker() {
+  running = false;
+  clearTimeout(pollTimer);
+  
+  if (activeJob) {
+    await activeJob;
+  }
+}
+
+module.exports = {
+  startWorker,
+  stopWorker
+};
@@ -1,36 +1,44 @@
 const db = require('../config/database');
 const fileUtils = require('../utils/fileUtils');
-const hashUtils = require('../utils/hashUtils');
-const zipUtils = require('../utils/zipUtils');
+const finalizationService = require('./finalizationService');
+const uploadEvents = require('./uploadEvents');
+const jobQueue = require('./jobQueue');
+
+const { FAILURE_REASONS } = finalizationService;
 
 /**
  * Recovery Service - Handles server crash recovery
  * 
  * On server startup, this service:
  * 1. Finds uploads stuck in PROCESSING state (interrupted finalization)
- * 2. Resumes finalization for complete uploads
+ *    and uploads whose chunks all arrived but never got a finalization job
+ * 2. Queues a FINALIZE_UPLOAD job for complete uploads (no-op if one is active)
  * 3. Resets incomplete uploads back to UPLOADING state
+ *
+ * Jobs whose worker died mid-run are reclaimed by the job worker itself.
  */
 
 async function recoverInterruptedUploads() {
   try {
     console.log('🔄 Starting recovery service...');
     
-    // Find uploads stuck in PROCESSING state
-    const [processingUploads] = await db.query(
-      `SELECT id, file_path, total_size, total_chunks, filename
-       FROM uploads
-       WHERE status = 'PROCESSING'`
+    // Find uploads stuck in PROCESSING, or complete but still UPLOADING
+    const [interruptedUploads] = await db.query(
+      `SELECT u.id, u.file_path, u.filename, u.status FROM uploads u
+       WHERE u.status = 'PROCESSING'
+       OR (u.status = 'UPLOADING' AND NOT EXISTS (
+         SELECT 1 FROM chunks c WHERE c.upload_id = u.id AND c.status <> 'SUCCESS'
+       ))`
     );
     
-    if (processingUploads.length === 0) {
+    if (interruptedUploads.length === 0) {
       console.log('✅ No interrupted uploads found');
       return;
     }
     
-    console.log(`Found ${processingUploads.length} interrupted upload(s)`);
+    console.log(`Found ${interruptedUploads.length} interrupted upload(s)`);
     
-    for (const upload of processingUploads) {
+    for (const upload of interruptedUploads) {
       try {
         await recoverSingleUpload(upload);
       } catch (error) {
@@ -50,10 +58,7 @@ async function recoverSingleUpload(upload) {
   const fileExists = await fileUtils.fileExists(upload.file_path);
   if (!fileExists) {
     console.log(`File not found, marking as FAILED: ${upload.id}`);
-    await db.query(
-      `UPDATE uploads SET status = 'FAILED' WHERE id = ?`,
-      [upload.id]
-    );
+    await finalizationService.markUploadFailed(upload.id, FAILURE_REASONS.FILE_MISSING);
     return;
   }
   
@@ -64,59 +69,28 @@ async function recoverSingleUpload(upload) {
     [upload.id]
   );
   
-  const { total, completed } = chunkStatus[0];
+  // SUM() comes back as a DECIMAL string from mysql2
+  const total = Number(chunkStatus[0].total);
+  const completed = Number(chunkStatus[0].completed);
   
   if (completed < total) {
     // Not all chunks received, reset to UPLOADING
     console.log(`Incomplete upload (${completed}/${total} chunks), resetting to UPLOADING`);
     await db.query(
       `UPDATE uploads SET status = 'UPLOADING', updated_at = NOW()
-       WHERE id = ?`,
+       WHERE id = ? AND status = 'PROCESSING'`,
       [upload.id]
     );
+    uploadEvents.publish(upload.id, uploadEvents.EVENT_TYPES.STATUS_CHANGE, { status: 'UPLOADING' });
     return;
   }
   
-  // All chunks received, resume finalization
-  console.log(`All chunks present (${completed}/${total}), resuming finalization...`);
+  // All chunks received, hand finalization to the job queue
+  const queued = await jobQueue.enqueue(db, jobQueue.JOB_TYPES.FINALIZE_UPLOAD, upload.id);
   
-  try {
-    // Validate file size
-    const actualSize = await fileUtils.getFileSize(upload.file_path);
-    if (actualSize !== upload.total_size) {
-      throw new Error(`File size mismatch: expected ${upload.total_size}, got ${actualSize}`);
-    }
-    
-    // Calculate SHA-256 hash
-    console.log(`Calculating SHA-256 hash for ${upload.id}...`);
-    const finalHash = await hashUtils.calculateFileHash(upload.file_path);
-    
-    // Verify ZIP validity
-    console.log(`Validating ZIP structure...`);
-    const isValid = await zipUtils.isValidZip(upload.file_path);
-    if (!isValid) {
-      throw new Error('Invalid ZIP file');
-    }
-    
-    // Mark as COMPLETED
-    await db.query(
-      `UPDATE uploads SET status = 'COMPLETED', final_hash = ?, completed_at = NOW(), updated_at = NOW()
-       WHERE id = ?`,
-      [finalHash, upload.id]
-    );
-    
-    console.log(`✅ Upload ${upload.id} recovered successfully (hash: ${finalHash.substring(0, 16)}...)`);
-    
-  } catch (error) {
-    console.error(`Finalization failed for ${upload.id}:`, error.message);
-    
-    // Mark as FAILED
-    await db.query(
-      `UPDATE uploads SET status = 'FAILED', updated_at = NOW()
-       WHERE id = ?`,
-      [upload.id]
-    );
-  }
+  console.log(queued
+    ? `All chunks present (${completed}/${total}), finalization job queued`
+    : `All chunks present (${completed}/${total}), finalization job already queued`);
 }
 
 /**
@@ -129,7 +103,7 @@ async function recoverAbandonedUploads() {
     const [abandonedUploads] = await db.query(
       `SELECT id, file_path, filename FROM uploads
        WHERE status = 'UPLOADING'
-       AND created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+       AND COALESCE(updated_at, created_at) < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
       [ABANDONED_TIMEOUT_HOURS]
     );
     
@@ -142,10 +116,7 @@ async function recoverAbandonedUploads() {
     for (const upload of abandonedUploads) {
       try {
         await fileUtils.safeDeleteFile(upload.file_path);
-        await db.query(
-          `UPDATE uploads SET status = 'FAILED', updated_at = NOW() WHERE id = ?`,
-          [upload.id]
-        );
+        await finalizationService.markUploadFailed(upload.id, FAILURE_REASONS.ABANDONED);
         console.log(`✅ Cleaned up abandoned upload: ${upload.filename}`);
       } catch (error) {
         console.error(`❌ Failed to cleanup ${upload.id}:`, error.message);
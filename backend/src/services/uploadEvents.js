@@ -0,0 +1,48 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Upload Events - In-process publish/subscribe for upload progress
+ *
+ * Services publish as uploads move along; GET /upload/:id/events relays
+ * them to the browser as Server-Sent Events. Only clients connected to the
+ * process doing the work receive them.
+ */
+
+const EVENT_TYPES = {
+  CHUNK_RECEIVED: 'chunk-received',
+  STATUS_CHANGE: 'status-change',
+  HASH_PROGRESS: 'hash-progress',
+  RESULT: 'result'
+};
+
+const emitter = new EventEmitter();
+
+// One listener per open SSE connection, so no fixed limit applies
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event for one upload
+ * @param {string} uploadId - Upload ID
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload (uploadId is added)
+ */
+function publish(uploadId, type, data = {}) {
+  emitter.emit(uploadId, { type, data: { uploadId, ...data } });
+}
+
+/**
+ * Listen to every event of one upload
+ * @param {string} uploadId - Upload ID
+ * @param {Function} listener - Called with { type, data }
+ * @returns {Function} - Unsubscribe
+ */
+function subscribe(uploadId, listener) {
+  emitter.on(uploadId, listener);
+  return () => emitter.off(uploadId, listener);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe
+};
@@ -0,0 +1,235 @@
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const db = require('../config/database');
+const fileUtils = require('../utils/fileUtils');
+const extractionService = require('./extractionService');
+const finalizationService = require('./finalizationService');
+const hashStateService = require('./hashStateService');
+const jobQueue = require('./jobQueue');
+const uploadEvents = require('./uploadEvents');
+
+/**
+ * Upload Service - Storage bookkeeping shared by every upload protocol
+ *
+ * Both the custom /upload API and the tus /files endpoint create uploads
+ * and record received chunks through here, so they share one layout on
+ * disk and in the uploads/chunks tables.
+ */
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+
+/**
+ * Insert the upload with all chunks PENDING and create its (empty) file
+ * Call allocateUploadFile after commit, so sizing a large file does not
+ * hold the transaction's locks.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} params - { filename, totalSize, chunkSize, fileHash, deepVerify, uploadOffset, uploadMetadata }
+ * @returns {Promise<Object>} - { uploadId, filePath, totalChunks }
+ */
+async function createUpload(connection, { filename, totalSize, chunkSize, fileHash, deepVerify, uploadOffset, uploadMetadata }) {
+  const uploadId = uuidv4();
+  const filePath = path.join(UPLOAD_DIR, `${uploadId}.zip`);
+  const totalChunks = Math.ceil(totalSize / chunkSize);
+  
+  // Insert upload record
+  await connection.query(
+    `INSERT INTO uploads (id, filename, total_size, total_chunks, chunk_size, file_hash, deep_verify, upload_offset,
+     upload_metadata, status, file_path, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'UPLOADING', ?, NOW(), NOW())`,
+    [
+      uploadId,
+      filename,
+      totalSize,
+      totalChunks,
+      chunkSize,
+      fileHash || null,
+      Boolean(deepVerify),
+      uploadOffset === undefined ? null : uploadOffset,
+      uploadMetadata || null,
+      filePath
+    ]
+  );
+  
+  // Pre-create all chunk records as PENDING
+  const chunkRecords = [];
+  for (let i = 0; i < totalChunks; i++) {
+    chunkRecords.push([uploadId, i, 'PENDING']);
+  }
+  
+  await connection.query(
+    `INSERT INTO chunks (upload_id, chunk_index, status) VALUES ?`,
+    [chunkRecords]
+  );
+  
+  // Exists from the start, so a concurrent init resuming this session does not take it for lost
+  await fileUtils.ensureDirectory(UPLOAD_DIR);
+  await fileUtils.createEmptyFile(filePath);
+  
+  return { uploadId, filePath, totalChunks };
+}
+
+/**
+ * Pre-allocate a file from createUpload to its full size
+ * On failure (e.g. a full disk) the upload is marked FAILED and the file removed.
+ * @param {Object} upload - { uploadId, filePath, totalSize }
+ */
+async function allocateUploadFile({ uploadId, filePath, totalSize }) {
+  try {
+    console.log(`Pre-allocating ${totalSize} bytes for ${uploadId}`);
+    await fileUtils.preallocateFile(filePath, totalSize);
+  } catch (error) {
+    await finalizationService.markUploadFailed(uploadId, finalizationService.FAILURE_REASONS.INTERNAL_ERROR, error.message);
+    await fileUtils.safeDeleteFile(filePath);
+    throw error;
+  }
+}
+
+/**
+ * Mark a chunk SUCCESS and queue finalization once every chunk is in
+ * Only while the upload is UPLOADING: a chunk that lands after a cancel or a
+ * failure changes nothing. Touching the upload first checks that, locks the
+ * row against a concurrent cancel, and keeps cleanup from taking an active
+ * upload for abandoned. Call publishChunkSuccess once the transaction commits.
+ * @param {Object} connection - Connection with an open transaction
+ * @returns {Promise<Object|null>} - { chunkIndex, byteLength, completed, total, isComplete }, or null if the upload no longer accepts chunks
+ */
+async function recordChunkSuccess(connection, uploadId, chunkIndex, chunkHash, byteLength) {
+  const [touched] = await connection.query(
+    `UPDATE uploads SET updated_at = NOW() WHERE id = ? AND status = 'UPLOADING'`,
+    [uploadId]
+  );
+  
+  if (touched.affectedRows === 0) {
+    console.log(`Chunk ${chunkIndex} of ${uploadId} not recorded: upload is no longer UPLOADING`);
+    return null;
+  }
+  
+  await connection.query(
+    `UPDATE chunks SET status = 'SUCCESS', chunk_hash = ?, byte_length = ?, received_at = NOW()
+     WHERE upload_id = ? AND chunk_index = ?`,
+    [chunkHash, byteLength, uploadId, chunkIndex]
+  );
+  
+  const [chunkStatus] = await connection.query(
+    `SELECT COUNT(*) as total, SUM(CASE WHEN status = 'SUCCESS' THEN 1 ELSE 0 END) as completed
+     FROM chunks WHERE upload_id = ?`,
+    [uploadId]
+  );
+  
+  // SUM() comes back as a DECIMAL string from mysql2
+  const total = Number(chunkStatus[0].total);
+  const completed = Number(chunkStatus[0].completed);
+  const isComplete = completed === total;
+  
+  console.log(`Chunk ${chunkIndex} uploaded (${completed}/${total})`);
+  
+  if (isComplete) {
+    await jobQueue.enqueue(connection, jobQueue.JOB_TYPES.FINALIZE_UPLOAD, uploadId);
+  }
+  
+  return { chunkIndex, byteLength, completed, total, isComplete };
+}
+
+/**
+ * Announce a chunk recorded by recordChunkSuccess, after its transaction commits
+ * Until every chunk is in, each one extends the upload's running SHA-256 in the background.
+ * @param {string} uploadId - Upload ID
+ * @param {Object} recorded - Result of recordChunkSuccess
+ */
+function publishChunkSuccess(uploadId, { chunkIndex, byteLength, completed, total, isComplete }) {
+  uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.CHUNK_RECEIVED, {
+    chunkIndex,
+    byteLength,
+    completed,
+    total
+  });
+  
+  // Finalization hashes the tail itself once every chunk is in
+  if (!isComplete) {
+    hashStateService.scheduleAdvance(uploadId);
+  }
+}
+
+/**
+ * Cancel an upload and remove its file
+ * The row is kept as CANCELLED so chunk writes and a running finalization
+ * see the new status and stop instead of resurrecting the upload.
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} - { previousStatus, fileDeleted }, or null if not found
+ */
+async function cancelUpload(uploadId) {
+  let connection;
+  
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    const [uploads] = await connection.query(
+      `SELECT id, file_path, status FROM uploads WHERE id = ? FOR UPDATE`,
+      [uploadId]
+    );
+    
+    if (uploads.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    
+    const upload = uploads[0];
+    
+    if (upload.status === 'CANCELLED') {
+      await connection.rollback();
+      return { previousStatus: upload.status, fileDeleted: false };
+    }
+    
+    // Clearing index_token stops a finalization that is indexing right now
+    // at its next batch, so the DELETE below leaves no rows behind
+    await connection.query(
+      `UPDATE uploads SET status = 'CANCELLED', entry_count = NULL, index_token = NULL, updated_at = NOW()
+       WHERE id = ?`,
+      [uploadId]
+    );
+    
+    await connection.query(`DELETE FROM zip_entries WHERE upload_id = ?`, [uploadId]);
+    
+    await connection.commit();
+    
+    uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.STATUS_CHANGE, { status: 'CANCELLED' });
+    uploadEvents.publish(uploadId, uploadEvents.EVENT_TYPES.RESULT, { status: 'CANCELLED' });
+    
+    // Deduplicated uploads may share the path when hard links were unavailable
+    const [refs] = await connection.query(
+      `SELECT COUNT(*) as count FROM uploads
+       WHERE file_path = ? AND id <> ? AND status <> 'CANCELLED'`,
+      [upload.file_path, uploadId]
+    );
+    
+    const fileDeleted = refs[0].count === 0;
+    if (fileDeleted) {
+      await fileUtils.safeDeleteFile(upload.file_path);
+    }
+    
+    await extractionService.removeExtraction(uploadId);
+    
+    console.log(`Upload ${uploadId} cancelled (was ${upload.status})`);
+    
+    return { previousStatus: upload.status, fileDeleted };
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+module.exports = {
+  createUpload,
+  allocateUploadFile,
+  recordChunkSuccess,
+  publishChunkSuccess,
+  cancelUpload
+};
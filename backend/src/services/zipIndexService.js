@@ -0,0 +1,505 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const zipUtils = require('../utils/zipUtils');
+const { globToRegExp } = require('../utils/globUtils');
+
+/**
+ * ZIP Index Service - Central directory of completed uploads in zip_entries
+ *
+ * Finalization indexes each archive once; /upload/:id/contents pages,
+ * filters and sorts from the table instead of re-reading the ZIP.
+ */
+
+const INDEX_BATCH_SIZE = 1000;
+
+// Trees deeper than one level are built in memory, so only for this many matching entries
+const TREE_MAX_ENTRIES = 10000;
+
+// Sort keys accepted by /contents, mapped to columns
+const SORT_COLUMNS = {
+  index: 'entry_index',
+  name: 'name',
+  size: 'size',
+  compressed: 'compressed_size',
+  modified: 'last_modified'
+};
+
+// Uploads being indexed on demand in this process, so concurrent requests share one pass
+const pendingIndexes = new Map();
+
+/**
+ * Thrown once another attempt has taken the index over; the attempt stops
+ * without touching zip_entries again
+ */
+function createSupersededError() {
+  const error = new Error('Indexing was superseded');
+  error.superseded = true;
+  return error;
+}
+
+/**
+ * Run fn in a transaction holding the upload row, if this attempt owns the index
+ */
+async function withOwnedIndex(uploadId, token, fn) {
+  let connection;
+  
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    
+    const [uploads] = await connection.query(
+      `SELECT index_token FROM uploads WHERE id = ? FOR UPDATE`,
+      [uploadId]
+    );
+    
+    if (uploads.length === 0 || uploads[0].index_token !== token) {
+      throw createSupersededError();
+    }
+    
+    await fn(connection);
+    await connection.commit();
+    
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * Take the index over for this attempt and clear any earlier one
+ * Only while the upload has the expected status, so an attempt that lost
+ * the race to another one cannot wipe an index that is already in use.
+ */
+async function claimIndex(uploadId, token, status) {
+  const [result] = await db.query(
+    `UPDATE uploads SET index_token = ? WHERE id = ? AND status = ?`,
+    [token, uploadId, status]
+  );
+  
+  if (result.affectedRows === 0) {
+    throw createSupersededError();
+  }
+  
+  await withOwnedIndex(uploadId, token, (connection) => connection.query(
+    `DELETE FROM zip_entries WHERE upload_id = ?`,
+    [uploadId]
+  ));
+}
+
+/**
+ * Read the archive's central directory into zip_entries
+ * Replaces any earlier index, so a retried finalization can run it again.
+ * Writes are owned by the attempt's token: once a later attempt claims the
+ * index (e.g. after a job timeout left this one running), this one throws
+ * an error with `superseded` set instead of mixing its rows in.
+ * @param {string} uploadId - Upload ID
+ * @param {string} zipPath - Assembled ZIP file
+ * @param {Object} attempt - { token, status }: attempt ID and the upload status indexing requires
+ * @returns {Promise<number>} - Number of entries indexed
+ */
+async function indexZipEntries(uploadId, zipPath, { token, status }) {
+  await claimIndex(uploadId, token, status);
+  
+  let batch = [];
+  let entryIndex = 0;
+  
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+    
+    const rows = batch;
+    batch = [];
+    
+    await withOwnedIndex(uploadId, token, (connection) => connection.query(
+      `INSERT INTO zip_entries (upload_id, entry_index, name, size, compressed_size, is_directory, last_modified)
+       VALUES ?`,
+      [rows]
+    ));
+  };
+  
+  const entryCount = await zipUtils.forEachEntry(zipPath, async (entry) => {
+    batch.push([
+      uploadId,
+      entryIndex++,
+      entry.name,
+      entry.size,
+      entry.compressed,
+      entry.isDirectory,
+      entry.lastModified
+    ]);
+    
+    if (batch.length >= INDEX_BATCH_SIZE) {
+      await flush();
+    }
+  });
+  
+  await flush();
+  
+  const [result] = await db.query(
+    `UPDATE uploads SET entry_count = ? WHERE id = ? AND index_token = ?`,
+    [entryCount, uploadId, token]
+  );
+  
+  if (result.affectedRows === 0) {
+    throw createSupersededError();
+  }
+  
+  return entryCount;
+}
+
+/**
+ * Entry count of a completed upload, indexing it first if that never happened
+ * (uploads completed before indexing existed)
+ * @param {Object} upload - Upload row (id, file_path, entry_count)
+ * @returns {Promise<number>}
+ */
+async function ensureIndexed(upload) {
+  if (upload.entry_count !== null) {
+    return upload.entry_count;
+  }
+  
+  if (!pendingIndexes.has(upload.id)) {
+    const pending = indexZipEntries(upload.id, upload.file_path, { token: uuidv4(), status: 'COMPLETED' })
+      .finally(() => pendingIndexes.delete(upload.id));
+    pendingIndexes.set(upload.id, pending);
+  }
+  
+  return pendingIndexes.get(upload.id);
+}
+
+/**
+ * WHERE clause for the prefix and glob filters
+ * @returns {Object} - { where, params }
+ */
+function buildFilter(uploadId, { prefix, glob }) {
+  const conditions = ['upload_id = ?'];
+  const params = [uploadId];
+  
+  if (prefix) {
+    conditions.push(`name LIKE ?`);
+    params.push(`${prefix.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  
+  if (glob) {
+    conditions.push(`REGEXP_LIKE(name, ?, 'c')`);
+    params.push(globToRegExp(glob));
+  }
+  
+  return { where: conditions.join(' AND '), params };
+}
+
+function toEntry(row) {
+  return {
+    name: row.name,
+    size: row.size,
+    compressed: row.compressed_size,
+    isDirectory: Boolean(row.is_directory),
+    lastModified: row.last_modified
+  };
+}
+
+/**
+ * One page of entries, in central directory order unless sorted
+ * @param {string} uploadId - Upload ID
+ * @param {Object} options - { offset, limit, prefix, glob, sort, order }
+ * @returns {Promise<Object>} - { total, entries } (total counts every match, not just this page)
+ */
+async function listEntries(uploadId, { offset, limit, prefix, glob, sort, order }) {
+  const { where, params } = buildFilter(uploadId, { prefix, glob });
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  
+  const [counts] = await db.query(
+    `SELECT COUNT(*) as total FROM zip_entries WHERE ${where}`,
+    params
+  );
+  
+  const [rows] = await db.query(
+    `SELECT name, size, compressed_size, is_directory, last_modified FROM zip_entries
+     WHERE ${where}
+     ORDER BY ${SORT_COLUMNS[sort]} ${direction}, entry_index ${direction}
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  
+  return {
+    total: counts[0].total,
+    entries: rows.map(toEntry)
+  };
+}
+
+/**
+ * Directory a tree is rooted at: the prefix up to its last "/"
+ */
+function getRootPath(prefix) {
+  return prefix ? prefix.substring(0, prefix.lastIndexOf('/') + 1) : '';
+}
+
+function getRootName(rootPath) {
+  return rootPath.split('/').slice(-2, -1)[0] || '';
+}
+
+// Sort keys for one tree level, mapped to columns of the grouped rows
+const LEVEL_SORT_COLUMNS = {
+  ...SORT_COLUMNS,
+  name: 'segment'
+};
+
+/**
+ * One level of the tree below the prefix, aggregated in SQL
+ * Matching entries are grouped by their next path segment, so a level costs
+ * one grouped scan of the index, and only one page of children
+ * (offset/limit) is returned. Directories come with their totals and
+ * children: null; expanding one is another call with its path as prefix.
+ * @param {string} uploadId - Upload ID
+ * @param {Object} options - { prefix, glob, sort, order, offset, limit }
+ * @returns {Promise<Object>} - { total, childCount, tree } (childCount counts every child, not just this page)
+ */
+async function listLevel(uploadId, { prefix, glob, sort, order, offset, limit }) {
+  const { where, params } = buildFilter(uploadId, { prefix, glob });
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const rootPath = getRootPath(prefix);
+  
+  // rest is the path below the root; its first segment names the child. Only
+  // a file at this level or a directory's own entry has no further "/" in
+  // rest, so only those set lastModified.
+  const levelSql = `
+    SELECT SUBSTRING_INDEX(rest, '/', 1) AS segment,
+           LOCATE('/', rest) > 0 AS is_directory,
+           SUM(IF(entry_is_directory, 0, size)) AS size,
+           SUM(IF(entry_is_directory, 0, compressed_size)) AS compressed_size,
+           SUM(NOT entry_is_directory) AS file_count,
+           MAX(IF(LOCATE('/', rest) IN (0, CHAR_LENGTH(rest)), last_modified, NULL)) AS last_modified,
+           MIN(entry_index) AS entry_index
+    FROM (
+      SELECT SUBSTRING(name, ?) AS rest, size, compressed_size,
+             is_directory AS entry_is_directory, last_modified, entry_index
+      FROM zip_entries WHERE ${where}
+    ) entries
+    WHERE rest <> ''
+    GROUP BY segment, is_directory`;
+  // MySQL counts characters, not UTF-16 code units
+  const levelParams = [[...rootPath].length + 1, ...params];
+  
+  // Sorting by index only makes sense for files; directories fall back to name
+  const orderBy = sort === 'index'
+    ? `IF(is_directory, segment, NULL), entry_index ${direction}`
+    : `${LEVEL_SORT_COLUMNS[sort]} ${direction}, segment ${direction}`;
+  
+  const [totals] = await db.query(
+    `SELECT COUNT(*) AS total,
+            SUM(IF(is_directory, 0, size)) AS size,
+            SUM(IF(is_directory, 0, compressed_size)) AS compressed_size,
+            SUM(NOT is_directory) AS file_count,
+            MAX(IF(name = ?, last_modified, NULL)) AS last_modified
+     FROM zip_entries WHERE ${where}`,
+    [rootPath, ...params]
+  );
+  
+  const [counts] = await db.query(
+    `SELECT COUNT(*) AS children FROM (${levelSql}) tree_level`,
+    levelParams
+  );
+  
+  const [rows] = await db.query(
+    `SELECT * FROM (${levelSql}) tree_level
+     ORDER BY is_directory DESC, ${orderBy}
+     LIMIT ? OFFSET ?`,
+    [...levelParams, limit, offset]
+  );
+  
+  const children = rows.map(row => (row.is_directory ? {
+    name: row.segment,
+    path: `${rootPath}${row.segment}/`,
+    isDirectory: true,
+    size: Number(row.size),
+    compressed: Number(row.compressed_size),
+    fileCount: Number(row.file_count),
+    lastModified: row.last_modified,
+    children: null
+  } : {
+    name: row.segment,
+    path: `${rootPath}${row.segment}`,
+    isDirectory: false,
+    size: Number(row.size),
+    compressed: Number(row.compressed_size),
+    lastModified: row.last_modified,
+    index: row.entry_index
+  }));
+  
+  const root = totals[0];
+  
+  return {
+    total: root.total,
+    childCount: counts[0].children,
+    tree: {
+      name: getRootName(rootPath),
+      path: rootPath,
+      isDirectory: true,
+      size: Number(root.size),
+      compressed: Number(root.compressed_size),
+      fileCount: Number(root.file_count),
+      lastModified: root.last_modified,
+      children
+    }
+  };
+}
+
+function createDirectoryNode(name, nodePath) {
+  return {
+    name,
+    path: nodePath,
+    isDirectory: true,
+    size: 0,
+    compressed: 0,
+    fileCount: 0,
+    lastModified: null,
+    children: new Map()
+  };
+}
+
+/**
+ * Order children and turn child maps into arrays, directories first
+ * Directories below maxDepth keep their totals but get children: null.
+ */
+function finishTree(node, compare, depth, maxDepth) {
+  if (depth >= maxDepth) {
+    node.children = null;
+    return node;
+  }
+  
+  node.children = [...node.children.values()]
+    .map(child => (child.isDirectory ? finishTree(child, compare, depth + 1, maxDepth) : child))
+    .sort((a, b) => (b.isDirectory - a.isDirectory) || compare(a, b));
+  
+  return node;
+}
+
+const TREE_COMPARATORS = {
+  index: (a, b) => a.index - b.index,
+  name: (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0),
+  size: (a, b) => a.size - b.size,
+  compressed: (a, b) => a.compressed - b.compressed,
+  modified: (a, b) => (a.lastModified || 0) - (b.lastModified || 0)
+};
+
+/**
+ * Matching entries as nested directories with aggregated sizes
+ * Directories that only appear in entry paths (no entry of their own) are
+ * created too. With a prefix ending in "/", the tree is rooted there.
+ * Built in memory, so refused (null) above TREE_MAX_ENTRIES matching entries;
+ * listLevel serves one level of any size.
+ * @param {string} uploadId - Upload ID
+ * @param {Object} options - { prefix, glob, sort, order, depth }
+ * @returns {Promise<Object|null>} - { total, tree }, or null if too many entries match
+ */
+async function buildTree(uploadId, { prefix, glob, sort, order, depth }) {
+  const { where, params } = buildFilter(uploadId, { prefix, glob });
+  
+  const [counts] = await db.query(
+    `SELECT COUNT(*) as total FROM zip_entries WHERE ${where}`,
+    params
+  );
+  
+  if (counts[0].total > TREE_MAX_ENTRIES) {
+    return null;
+  }
+  
+  const [rows] = await db.query(
+    `SELECT entry_index, name, size, compressed_size, is_directory, last_modified FROM zip_entries
+     WHERE ${where}
+     ORDER BY entry_index`,
+    params
+  );
+  
+  const rootPath = getRootPath(prefix);
+  const root = createDirectoryNode(getRootName(rootPath), rootPath);
+  
+  for (const row of rows) {
+    const entry = toEntry(row);
+    const segments = entry.name.substring(rootPath.length).split('/').filter(Boolean);
+    
+    let node = root;
+    let nodePath = rootPath;
+    const ancestors = [root];
+    
+    // Walk (and create) the directories above the entry
+    const directoryCount = entry.isDirectory ? segments.length : segments.length - 1;
+    for (let i = 0; i < directoryCount; i++) {
+      nodePath += `${segments[i]}/`;
+      
+      // Keyed with the slash so a file "a" and a directory "a/" can coexist
+      const key = `${segments[i]}/`;
+      if (!node.children.has(key)) {
+        node.children.set(key, createDirectoryNode(segments[i], nodePath));
+      }
+      
+      node = node.children.get(key);
+      ancestors.push(node);
+    }
+    
+    if (entry.isDirectory) {
+      node.lastModified = entry.lastModified;
+      continue;
+    }
+    
+    const name = segments[segments.length - 1];
+    node.children.set(name, {
+      name,
+      path: entry.name,
+      isDirectory: false,
+      size: entry.size,
+      compressed: entry.compressed,
+      lastModified: entry.lastModified,
+      index: row.entry_index
+    });
+    
+    for (const ancestor of ancestors) {
+      ancestor.size += entry.size;
+      ancestor.compressed += entry.compressed;
+      ancestor.fileCount++;
+    }
+  }
+  
+  const ascending = TREE_COMPARATORS[sort];
+  const compare = order === 'desc' ? (a, b) => ascending(b, a) : ascending;
+  
+  // Sorting by index only makes sense for files; directories fall back to name
+  const compareNodes = sort === 'index'
+    ? (a, b) => (a.isDirectory ? TREE_COMPARATORS.name(a, b) : compare(a, b))
+    : compare;
+  
+  finishTree(root, compareNodes, 0, depth === undefined ? Infinity : depth);
+  
+  return { total: rows.length, tree: root };
+}
+
+/**
+ * Copy another upload's index (deduplicated uploads share content)
+ * @param {Object} connection - Pool or connection (joins its transaction if one is open)
+ */
+async function copyIndex(connection, sourceId, uploadId) {
+  await connection.query(
+    `INSERT INTO zip_entries (upload_id, entry_index, name, size, compressed_size, is_directory, last_modified)
+     SELECT ?, entry_index, name, size, compressed_size, is_directory, last_modified
+     FROM zip_entries WHERE upload_id = ?`,
+    [uploadId, sourceId]
+  );
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  TREE_MAX_ENTRIES,
+  indexZipEntries,
+  ensureIndexed,
+  listEntries,
+  listLevel,
+  buildTree,
+  copyIndex
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * Dedup Challenge - Proof that a client holds the file it wants to deduplicate
+ *
+ * A fileHash is not a secret (it shows up in logs, links and checksums
+ * lists), so /upload/init only reuses a stored file for a client that can
+ * hash a byte range the server picked at random. Challenges are HMAC-signed
+ * rather than stored, so any API instance with the same DEDUP_SECRET can
+ * check the answer.
+ */
+
+// Without DEDUP_SECRET, challenges only verify on the instance that issued them
+const SECRET = process.env.DEDUP_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Bytes the client has to hash; whole file if smaller
+const CHALLENGE_LENGTH = 64 * 1024;
+
+const CHALLENGE_TTL = 10 * 60 * 1000;
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Pick a random range of the file and sign it
+ * @param {Object} file - { fileHash, totalSize } the challenge is bound to
+ * @returns {Object} - { token, offset, length }
+ */
+function createChallenge({ fileHash, totalSize }) {
+  const length = Math.min(CHALLENGE_LENGTH, totalSize);
+  const offset = crypto.randomInt(0, totalSize - length + 1);
+  
+  const payload = Buffer.from(JSON.stringify({
+    fileHash,
+    totalSize,
+    offset,
+    length,
+    expires: Date.now() + CHALLENGE_TTL
+  })).toString('base64url');
+  
+  return { token: `${payload}.${sign(payload)}`, offset, length };
+}
+
+/**
+ * Range a challenge token was issued for
+ * @param {string} token - Token from createChallenge
+ * @param {Object} file - { fileHash, totalSize } of the init request
+ * @returns {Object|null} - { offset, length }, or null if forged, expired or for another file
+ */
+function readChallenge(token, { fileHash, totalSize }) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+  
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  
+  const challenge = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  
+  if (challenge.fileHash !== fileHash || challenge.totalSize !== totalSize || challenge.expires < Date.now()) {
+    return null;
+  }
+  
+  return { offset: challenge.offset, length: challenge.length };
+}
+
+module.exports = {
+  createChallenge,
+  readChallenge
+};
@@ -0,0 +1,44 @@
+/**
+ * Error Codes - Machine-readable `code` of chunk endpoint error responses
+ *
+ * Clients retry SERVICE_UNAVAILABLE and INTERNAL_ERROR; every other code
+ * means sending the same request again cannot succeed.
+ */
+
+const ERROR_CODES = {
+  MISSING_FIELDS: 'MISSING_FIELDS',
+  UPLOAD_NOT_FOUND: 'UPLOAD_NOT_FOUND',
+  UPLOAD_NOT_ACCEPTING: 'UPLOAD_NOT_ACCEPTING',
+  INVALID_CHUNK_INDEX: 'INVALID_CHUNK_INDEX',
+  INVALID_CHUNK_LENGTH: 'INVALID_CHUNK_LENGTH',
+  CHUNK_HASH_MISMATCH: 'CHUNK_HASH_MISMATCH',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Seconds sent in Retry-After with SERVICE_UNAVAILABLE
+const RETRY_AFTER_SECONDS = 5;
+
+// Database failures that clear up on their own (lost connections, full pool, lock contention)
+const TRANSIENT_ERRORS = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'PROTOCOL_CONNECTION_LOST',
+  'ER_CON_COUNT_ERROR',
+  'ER_LOCK_WAIT_TIMEOUT',
+  'ER_LOCK_DEADLOCK'
+]);
+
+/**
+ * Whether an error is worth a 503 with Retry-After rather than a 500
+ */
+function isTransientError(error) {
+  return TRANSIENT_ERRORS.has(error.code);
+}
+
+module.exports = {
+  ERROR_CODES,
+  RETRY_AFTER_SECONDS,
+  isTransientError
+};
@@ -10,8 +10,13 @@ async function ensureDirectory(dirPath) {
   }
 }
 
+async function createEmptyFile(filePath) {
+  await fs.writeFile(filePath, '', { flag: 'wx' });
+}
+
 async function preallocateFile(filePath, size) {
-  const fd = await fs.open(filePath, 'w');
+  // r+ keeps any chunks already written to the file from createEmptyFile
+  const fd = await fs.open(filePath, 'r+');
   try {
     // Truncate creates sparse file on most systems
     await fd.truncate(size);
@@ -53,6 +58,60 @@ function writeChunkAtOffset(filePath, offset, dataStream) {
   });
 }
 
+/**
+ * Write a stream to a file at an offset in a single pass, then fsync
+ * Unlike writeChunkAtOffset, bytes are seen by onData as they are written
+ * and nothing is reported as written until it is durable on disk.
+ * With keepPartial, a stream that fails part-way (e.g. the client
+ * disconnected) still has what arrived fsynced; the error then carries that
+ * byte count as error.bytesDurable.
+ * @param {string} filePath - Existing (pre-allocated) file
+ * @param {number} offset - Byte offset to start writing at
+ * @param {AsyncIterable<Buffer>} dataStream - Readable stream (e.g. an HTTP request)
+ * @param {Object} options - { maxBytes, onData, keepPartial }
+ * @returns {Promise<number>} - Bytes written
+ */
+async function writeStreamAtOffset(filePath, offset, dataStream, { maxBytes = Infinity, onData, keepPartial = false } = {}) {
+  const fd = await fs.open(filePath, 'r+');
+  let bytesWritten = 0;
+  
+  try {
+    for await (const data of dataStream) {
+      // Never write past our region: the next chunk's bytes live there
+      if (bytesWritten + data.length > maxBytes) {
+        const error = new Error(`Stream exceeds ${maxBytes} bytes`);
+        error.code = 'ERR_CHUNK_TOO_LARGE';
+        error.bytesReceived = bytesWritten + data.length;
+        throw error;
+      }
+      
+      if (onData) {
+        onData(data);
+      }
+      
+      await fd.write(data, 0, data.length, offset + bytesWritten);
+      bytesWritten += data.length;
+    }
+    
+    await fd.sync();
+  } catch (error) {
+    if (keepPartial && error.code !== 'ERR_CHUNK_TOO_LARGE') {
+      error.bytesDurable = 0;
+      try {
+        await fd.sync();
+        error.bytesDurable = bytesWritten;
+      } catch (syncError) {
+        // Nothing is known to be on disk
+      }
+    }
+    throw error;
+  } finally {
+    await fd.close();
+  }
+  
+  return bytesWritten;
+}
+
 /**
  * Delete file safely (ignore if not exists)
  * @param {string} filePath - File to delete
@@ -67,6 +126,61 @@ async function safeDeleteFile(filePath) {
   }
 }
 
+/**
+ * Delete a directory and everything in it (ignore if not exists)
+ * @param {string} dirPath - Directory to delete
+ */
+async function removeDirectory(dirPath) {
+  await fs.rm(dirPath, { recursive: true, force: true });
+}
+
+/**
+ * Create a hard link to an existing file
+ * @param {string} existingPath - File to link to
+ * @param {string} linkPath - New path
+ * @returns {Promise<boolean>} - False if the filesystem cannot link (e.g. cross-device)
+ */
+async function createHardLink(existingPath, linkPath) {
+  try {
+    await fs.link(existingPath, linkPath);
+    return true;
+  } catch (error) {
+    if (['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK'].includes(error.code)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Number of hard links to a file; above 1, another path shares its data
+ * @param {string} filePath - File path
+ * @returns {Promise<number>}
+ */
+async function getLinkCount(filePath) {
+  const stats = await fs.stat(filePath);
+  return stats.nlink;
+}
+
+/**
+ * Copy a file into data of its own (a reflink where the filesystem has them,
+ * which is copy-on-write and just as independent)
+ * @param {string} sourcePath - File to copy
+ * @param {string} targetPath - New file
+ */
+async function copyFile(sourcePath, targetPath) {
+  await fs.copyFile(sourcePath, targetPath, fsSync.constants.COPYFILE_FICLONE);
+}
+
+/**
+ * Move a file, replacing the target (atomic within one filesystem)
+ * @param {string} sourcePath - File to move
+ * @param {string} targetPath - New path
+ */
+async function moveFile(sourcePath, targetPath) {
+  await fs.rename(sourcePath, targetPath);
+}
+
 /**
  * Get file size
  * @param {string} filePath - File path
@@ -93,9 +207,16 @@ async function fileExists(filePath) {
 
 module.exports = {
   ensureDirectory,
+  createEmptyFile,
   preallocateFile,
   writeChunkAtOffset,
+  writeStreamAtOffset,
   safeDeleteFile,
+  removeDirectory,
+  createHardLink,
+  getLinkCount,
+  copyFile,
+  moveFile,
   getFileSize,
   fileExists
 };
@@ -0,0 +1,61 @@
+/**
+ * Glob matching for ZIP entry paths
+ * Shared by /upload/:id/contents (as a MySQL REGEXP) and extraction filters.
+ */
+
+/**
+ * Translate a glob to an anchored regular expression
+ * `*` and `?` stay within one path segment, `**` crosses them, and a
+ * pattern without `/` matches the file name in any directory.
+ * @param {string} glob - e.g. "*.pdf", "docs/**\/*.md"
+ * @returns {string} - Pattern for MySQL REGEXP_LIKE or new RegExp()
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directories at all
+      if (glob[i + 2] === '/') {
+        pattern += '(.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  const anyDirectory = glob.includes('/') ? '' : '(.*/)?';
+  return `^${anyDirectory}${pattern}/?$`;
+}
+
+/**
+ * Matcher for include/exclude glob lists
+ * @param {Object} filter - { include: [globs], exclude: [globs] }; an empty include matches everything
+ * @returns {Function} - (entryPath) => boolean
+ */
+function createGlobFilter({ include = [], exclude = [] } = {}) {
+  const includes = include.map(glob => new RegExp(globToRegExp(glob)));
+  const excludes = exclude.map(glob => new RegExp(globToRegExp(glob)));
+  
+  return (entryPath) => {
+    if (includes.length > 0 && !includes.some(re => re.test(entryPath))) {
+      return false;
+    }
+    return !excludes.some(re => re.test(entryPath));
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  createGlobFilter
+};
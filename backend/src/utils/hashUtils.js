@@ -1,13 +1,26 @@
 const crypto = require('crypto');
 const fs = require('fs');
+const { createSHA256 } = require('hash-wasm');
 
-function calculateFileHash(filePath) {
+/**
+ * Calculate SHA-256 hash of a whole file (streaming)
+ * @param {string} filePath - File path
+ * @param {Function} [onProgress] - Called with the number of bytes hashed so far
+ * @returns {Promise<string>} - Hex hash
+ */
+function calculateFileHash(filePath, onProgress) {
   return new Promise((resolve, reject) => {
     const hash = crypto.createHash('sha256');
     const stream = fs.createReadStream(filePath);
+    let bytesHashed = 0;
     
     stream.on('data', (chunk) => {
       hash.update(chunk);
+      
+      if (onProgress) {
+        bytesHashed += chunk.length;
+        onProgress(bytesHashed);
+      }
     });
     
     stream.on('end', () => {
@@ -20,11 +33,100 @@ function calculateFileHash(filePath) {
   });
 }
 
+/**
+ * Calculate SHA-256 hash of a byte range of a file (streaming)
+ * @param {string} filePath - File path
+ * @param {number} start - First byte offset
+ * @param {number} length - Number of bytes to hash
+ * @returns {Promise<string>} - Hex hash
+ */
+function calculateRangeHash(filePath, start, length) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    
+    if (length <= 0) {
+      return resolve(hash.digest('hex'));
+    }
+    
+    const stream = fs.createReadStream(filePath, { start, end: start + length - 1 });
+    
+    stream.on('data', (chunk) => {
+      hash.update(chunk);
+    });
+    
+    stream.on('end', () => {
+      resolve(hash.digest('hex'));
+    });
+    
+    stream.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
+/**
+ * SHA-256 hasher whose state can be saved and resumed later
+ * (node's crypto hashes cannot be serialized)
+ * @param {Buffer|null} state - From hasher.save(), or null to start empty
+ * @returns {Promise<Object>} - hash-wasm hasher; throws if the state is unreadable
+ */
+async function createResumableHash(state) {
+  const hasher = await createSHA256();
+  
+  if (state) {
+    hasher.load(state);
+  } else {
+    hasher.init();
+  }
+  
+  return hasher;
+}
+
+/**
+ * Feed a byte range of a file into a hasher (streaming)
+ * @param {Object} hasher - Anything with update(data)
+ * @param {string} filePath - File path
+ * @param {number} start - First byte offset
+ * @param {number} end - Offset to stop at (exclusive)
+ * @param {Function} [onProgress] - Called with the number of bytes read so far
+ * @returns {Promise<void>}
+ */
+function updateHashFromFile(hasher, filePath, start, end, onProgress) {
+  return new Promise((resolve, reject) => {
+    if (end <= start) {
+      return resolve();
+    }
+    
+    const stream = fs.createReadStream(filePath, { start, end: end - 1 });
+    let bytesRead = 0;
+    
+    stream.on('data', (chunk) => {
+      hasher.update(chunk);
+      
+      if (onProgress) {
+        bytesRead += chunk.length;
+        onProgress(bytesRead);
+      }
+    });
+    
+    stream.on('end', () => {
+      resolve();
+    });
+    
+    stream.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
 function calculateBufferHash(buffer) {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
 module.exports = {
   calculateFileHash,
-  calculateBufferHash
+  calculateRangeHash,
+  calculateBufferHash,
+  createResumableHash,
+  updateHashFromFile
 };
@@ -0,0 +1,158 @@
+/**
+ * ZIP safety policy
+ * Checks central directory metadata for archives that are dangerous to
+ * extract: zip bombs, zip-slip paths, symlinks, encryption, duplicates.
+ */
+
+const VIOLATIONS = {
+  TOO_MANY_ENTRIES: 'TOO_MANY_ENTRIES',
+  TOTAL_SIZE_EXCEEDED: 'TOTAL_SIZE_EXCEEDED',
+  ENTRY_RATIO_EXCEEDED: 'ENTRY_RATIO_EXCEEDED',
+  TOTAL_RATIO_EXCEEDED: 'TOTAL_RATIO_EXCEEDED',
+  PATH_TRAVERSAL: 'PATH_TRAVERSAL',
+  ABSOLUTE_PATH: 'ABSOLUTE_PATH',
+  SYMLINK_ENTRY: 'SYMLINK_ENTRY',
+  ENCRYPTED_ENTRY: 'ENCRYPTED_ENTRY',
+  DUPLICATE_ENTRY: 'DUPLICATE_ENTRY'
+};
+
+// Enough to act on; a hostile archive could otherwise produce one per entry
+const MAX_REPORTED_VIOLATIONS = 100;
+
+/**
+ * Compression ratio (uncompressed / compressed); Infinity for data from nothing
+ */
+function getRatio(uncompressedSize, compressedSize) {
+  if (compressedSize === 0) {
+    return uncompressedSize === 0 ? 0 : Infinity;
+  }
+  return uncompressedSize / compressedSize;
+}
+
+/**
+ * Path as an extractor would see it: backslashes are separators on Windows
+ * @returns {string}
+ */
+function normalizeEntryPath(name) {
+  return name.replace(/\\/g, '/');
+}
+
+function isAbsolutePath(name) {
+  const normalized = normalizeEntryPath(name);
+  return normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized);
+}
+
+function hasTraversal(name) {
+  return normalizeEntryPath(name).split('/').includes('..');
+}
+
+/**
+ * Where an entry lands when extracted, for spotting duplicates
+ * "a/./b" and "a//b" extract to the same place as "a/b", and so do "A/B"
+ * on case-insensitive filesystems (Windows, macOS) and "é" in either
+ * Unicode normal form on macOS.
+ * @returns {string}
+ */
+function getExtractionKey(name) {
+  return normalizeEntryPath(name)
+    .replace(/\/\.(?=\/)/g, '')
+    .replace(/\/+/g, '/')
+    .replace(/^\.\//, '')
+    .normalize('NFC')
+    .toLowerCase();
+}
+
+/**
+ * Evaluate central directory metadata against a policy
+ * @param {Object} directory - { entryCount, entries } from zipUtils.readCentralDirectory
+ * @param {Object} policy - Limits (see config/upload.js ZIP_POLICY)
+ * @returns {Object} - { passed, violationCount, violations: [{ code, entry, detail }] }
+ */
+function evaluateZipPolicy({ entryCount, entries }, policy) {
+  const violations = [];
+  
+  const add = (code, entry, detail) => {
+    violations.push({ code, entry, detail });
+  };
+  
+  // Too many entries to even read; nothing else is checked
+  if (entryCount > policy.maxEntries || !entries) {
+    add(VIOLATIONS.TOO_MANY_ENTRIES, null, `${entryCount} entries (limit ${policy.maxEntries})`);
+    return summarize(violations);
+  }
+  
+  let totalUncompressed = 0;
+  let totalCompressed = 0;
+  const seenPaths = new Set();
+  
+  for (const entry of entries) {
+    totalUncompressed += entry.uncompressedSize;
+    totalCompressed += entry.compressedSize;
+    
+    for (const name of entry.names) {
+      if (isAbsolutePath(name)) {
+        add(VIOLATIONS.ABSOLUTE_PATH, name, 'Entry path is absolute');
+      } else if (hasTraversal(name)) {
+        add(VIOLATIONS.PATH_TRAVERSAL, name, 'Entry path escapes the extraction directory');
+      }
+    }
+    
+    if (entry.isSymlink && !policy.allowSymlinks) {
+      add(VIOLATIONS.SYMLINK_ENTRY, entry.name, 'Entry is a symbolic link');
+    }
+    
+    if (entry.isEncrypted && !policy.allowEncrypted) {
+      add(VIOLATIONS.ENCRYPTED_ENTRY, entry.name, 'Entry is encrypted');
+    }
+    
+    const ratio = getRatio(entry.uncompressedSize, entry.compressedSize);
+    if (entry.uncompressedSize >= policy.ratioMinSize && ratio > policy.maxEntryRatio) {
+      add(
+        VIOLATIONS.ENTRY_RATIO_EXCEEDED,
+        entry.name,
+        `Compression ratio ${Math.round(ratio)}:1 (limit ${policy.maxEntryRatio}:1)`
+      );
+    }
+    
+    const key = getExtractionKey(entry.name);
+    if (seenPaths.has(key)) {
+      if (!policy.allowDuplicates) {
+        add(VIOLATIONS.DUPLICATE_ENTRY, entry.name, 'Another entry has the same path');
+      }
+    } else {
+      seenPaths.add(key);
+    }
+  }
+  
+  if (totalUncompressed > policy.maxTotalUncompressedSize) {
+    add(
+      VIOLATIONS.TOTAL_SIZE_EXCEEDED,
+      null,
+      `${totalUncompressed} bytes uncompressed (limit ${policy.maxTotalUncompressedSize})`
+    );
+  }
+  
+  const totalRatio = getRatio(totalUncompressed, totalCompressed);
+  if (totalUncompressed >= policy.ratioMinSize && totalRatio > policy.maxTotalRatio) {
+    add(
+      VIOLATIONS.TOTAL_RATIO_EXCEEDED,
+      null,
+      `Overall compression ratio ${Math.round(totalRatio)}:1 (limit ${policy.maxTotalRatio}:1)`
+    );
+  }
+  
+  return summarize(violations);
+}
+
+function summarize(violations) {
+  return {
+    passed: violations.length === 0,
+    violationCount: violations.length,
+    violations: violations.slice(0, MAX_REPORTED_VIOLATIONS)
+  };
+}
+
+module.exports = {
+  VIOLATIONS,
+  evaluateZipPolicy
+};
@@ -1,8 +1,55 @@
+const fs = require('fs');
+const path = require('path');
 const yauzl = require('yauzl');
+const zlib = require('zlib');
+const { PassThrough, Transform, pipeline } = require('stream');
 
-function listZipContents(zipPath) {
+// Passing entries kept in a deep verification report; failures are always kept
+const MAX_REPORT_ENTRIES = parseInt(process.env.ZIP_REPORT_MAX_ENTRIES) || 10000;
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a buffer, continuing from a previous value
+ * Node 20.15+ ships zlib.crc32; older runtimes use a lookup table.
+ * @param {Buffer} data - Bytes to add
+ * @param {number} [value=0] - CRC of the bytes before data
+ * @returns {number} - Unsigned 32-bit CRC
+ */
+function crc32(data, value = 0) {
+  if (zlib.crc32) {
+    return zlib.crc32(data, value);
+  }
+  
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  
+  let crc = ~value;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Visit every entry of an archive in central directory order
+ * The next entry is only read once onEntry's promise settles, so callers
+ * can write entries out in batches without holding the whole listing.
+ * @param {string} zipPath - Path to ZIP file
+ * @param {Function} onEntry - ({ name, size, compressed, isDirectory, isSymlink, lastModified }) => Promise|void
+ * @returns {Promise<number>} - Number of entries visited
+ */
+function forEachEntry(zipPath, onEntry) {
   return new Promise((resolve, reject) => {
-    const files = [];
+    let count = 0;
     
     yauzl.open(zipPath, { lazyEntries: true, autoClose: true }, (err, zipfile) => {
       if (err) {
@@ -10,22 +57,107 @@ function listZipContents(zipPath) {
       }
       
       zipfile.on('entry', (entry) => {
-
-        const isDirectory = /\/$/.test(entry.fileName);
-        
-        files.push({
+        const info = {
           name: entry.fileName,
           size: entry.uncompressedSize,
           compressed: entry.compressedSize,
-          isDirectory,
+          isDirectory: /\/$/.test(entry.fileName),
+          isSymlink: isSymlinkEntry(entry),
           lastModified: entry.getLastModDate()
+        };
+        
+        count++;
+        
+        Promise.resolve()
+          .then(() => onEntry(info))
+          .then(() => zipfile.readEntry())
+          .catch((error) => {
+            zipfile.close();
+            reject(error);
+          });
+      });
+      
+      zipfile.on('end', () => {
+        resolve(count);
+      });
+      
+      zipfile.on('error', (err) => {
+        reject(err);
+      });
+      
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Upper 16 bits of the external attributes hold the Unix mode when made on Unix
+ */
+function isSymlinkEntry(entry) {
+  const madeOnUnix = (entry.versionMadeBy >> 8) === 3;
+  const unixMode = (entry.externalFileAttributes >>> 16) & 0o170000;
+  return madeOnUnix && unixMode === 0o120000;
+}
+
+/**
+ * Decode an entry name from a raw central directory record
+ * Bit 11 marks UTF-8; otherwise names are CP437, of which latin1 is a close
+ * enough reading for path checks (separators and dots are ASCII either way).
+ */
+function decodeEntryName(buffer, generalPurposeBitFlag) {
+  return buffer.toString(generalPurposeBitFlag & 0x800 ? 'utf8' : 'latin1');
+}
+
+/**
+ * Read central directory metadata without yauzl's file name validation
+ * yauzl rejects absolute and ../ names outright; here they are returned so the
+ * safety policy can report them. Names in an Info-ZIP Unicode Path extra field
+ * (0x7075) are returned too, since extractors may prefer them.
+ * @param {string} zipPath - Path to ZIP file
+ * @param {Object} [options] - { maxEntries }: stop before reading more entries than this
+ * @returns {Promise<Object>} - { entryCount, entries } (entries is null when over maxEntries)
+ */
+function readCentralDirectory(zipPath, { maxEntries } = {}) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: true, decodeStrings: false }, (err, zipfile) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      const { entryCount } = zipfile;
+      
+      if (maxEntries && entryCount > maxEntries) {
+        zipfile.close();
+        return resolve({ entryCount, entries: null });
+      }
+      
+      const entries = [];
+      
+      zipfile.on('entry', (entry) => {
+        const name = decodeEntryName(entry.fileName, entry.generalPurposeBitFlag);
+        const names = [name];
+        
+        for (const field of entry.extraFields) {
+          if (field.id === 0x7075 && field.data.length >= 6 && field.data.readUInt8(0) === 1) {
+            names.push(field.data.slice(5).toString('utf8'));
+          }
+        }
+        
+        entries.push({
+          name,
+          names,
+          compressedSize: entry.compressedSize,
+          uncompressedSize: entry.uncompressedSize,
+          isDirectory: /[/\\]$/.test(name),
+          isEncrypted: entry.isEncrypted(),
+          isSymlink: isSymlinkEntry(entry)
         });
         
         zipfile.readEntry();
       });
       
       zipfile.on('end', () => {
-        resolve(files);
+        resolve({ entryCount, entries });
       });
       
       zipfile.on('error', (err) => {
@@ -55,7 +187,286 @@ function isValidZip(zipPath) {
   });
 }
 
+/**
+ * Decompress one entry and check its CRC-32
+ * Never rejects: any problem is returned as a message
+ * @returns {Promise<string|null>} - Failure message, or null if the entry is intact
+ */
+function verifyEntry(zipfile, entry) {
+  return new Promise((resolve) => {
+    zipfile.openReadStream(entry, (err, stream) => {
+      // Encrypted entries, unsupported compression methods, bad local headers
+      if (err) {
+        return resolve(err.message);
+      }
+      
+      let crc = 0;
+      
+      stream.on('data', (data) => {
+        crc = crc32(data, crc);
+      });
+      
+      stream.on('end', () => {
+        if (crc !== entry.crc32) {
+          return resolve(`CRC-32 mismatch: expected ${entry.crc32.toString(16)}, got ${crc.toString(16)}`);
+        }
+        resolve(null);
+      });
+      
+      // Corrupt deflate data, or more/fewer bytes than the declared size
+      stream.on('error', (error) => {
+        resolve(error.message);
+      });
+    });
+  });
+}
+
+/**
+ * Deep verification: stream every entry through decompression and check
+ * its CRC-32 and sizes (yauzl enforces the declared uncompressed size).
+ * @param {string} zipPath - Path to ZIP file
+ * @returns {Promise<Object>} - { passed, totalEntries, failedEntries, truncated, entries }
+ */
+function verifyZipEntries(zipPath) {
+  return new Promise((resolve, reject) => {
+    const report = {
+      passed: true,
+      totalEntries: 0,
+      failedEntries: 0,
+      truncated: false,
+      entries: []
+    };
+    
+    const record = (result) => {
+      report.totalEntries++;
+      
+      if (!result.ok) {
+        report.failedEntries++;
+        report.passed = false;
+      }
+      
+      if (!result.ok || report.entries.length < MAX_REPORT_ENTRIES) {
+        report.entries.push(result);
+      } else {
+        report.truncated = true;
+      }
+    };
+    
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: true, validateEntrySizes: true }, (err, zipfile) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      zipfile.on('entry', (entry) => {
+        const result = {
+          name: entry.fileName,
+          size: entry.uncompressedSize,
+          compressed: entry.compressedSize
+        };
+        
+        if (/\/$/.test(entry.fileName)) {
+          record({ ...result, ok: true });
+          return zipfile.readEntry();
+        }
+        
+        verifyEntry(zipfile, entry).then((error) => {
+          record(error ? { ...result, ok: false, error } : { ...result, ok: true });
+          zipfile.readEntry();
+        });
+      });
+      
+      zipfile.on('end', () => {
+        resolve(report);
+      });
+      
+      zipfile.on('error', (err) => {
+        reject(err);
+      });
+      
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Open a decompressing stream for one entry, without extracting the archive
+ * The central directory is scanned in order until the name matches, and the
+ * archive is closed once the returned stream ends, fails or is destroyed.
+ * @param {string} zipPath - Path to ZIP file
+ * @param {string} entryName - Entry path exactly as visited by forEachEntry
+ * @returns {Promise<Object|null>} - { entry, stream }, or null if there is no such entry
+ */
+function openEntryStream(zipPath, entryName) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false, validateEntrySizes: true }, (err, zipfile) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      const fail = (error) => {
+        zipfile.close();
+        reject(error);
+      };
+      
+      zipfile.on('entry', (entry) => {
+        if (entry.fileName !== entryName) {
+          return zipfile.readEntry();
+        }
+        
+        zipfile.openReadStream(entry, (err, stream) => {
+          if (err) {
+            return fail(err);
+          }
+          
+          // yauzl's streams replace destroy() with one that emits nothing,
+          // so the archive is closed from a PassThrough it cannot bypass
+          const output = new PassThrough();
+          pipeline(stream, output, () => zipfile.close());
+          resolve({ entry, stream: output });
+        });
+      });
+      
+      zipfile.on('end', () => {
+        zipfile.close();
+        resolve(null);
+      });
+      
+      zipfile.on('error', fail);
+      
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Where an entry may be written under destDir
+ * Rejects absolute paths, drive letters and ".." segments outright (with
+ * "\\" read as a separator), then checks the resolved path stays inside.
+ * @param {string} destDir - Extraction root
+ * @param {string} entryName - Entry path from the archive
+ * @returns {string|null} - Absolute target path, or null if the entry would escape
+ */
+function resolveEntryPath(destDir, entryName) {
+  const normalized = entryName.replace(/\\/g, '/');
+  const segments = normalized.split('/');
+  
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || segments.includes('..') || normalized.includes('\0')) {
+    return null;
+  }
+  
+  const root = path.resolve(destDir);
+  const target = path.resolve(root, ...segments.filter(segment => segment && segment !== '.'));
+  
+  if (target === root || !target.startsWith(root + path.sep)) {
+    return null;
+  }
+  
+  return target;
+}
+
+/**
+ * Decompress one entry to a file, counting bytes as they are written
+ */
+function writeEntry(zipfile, entry, target, onBytes) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, stream) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          onBytes(chunk.length);
+          callback(null, chunk);
+        }
+      });
+      
+      pipeline(stream, counter, fs.createWriteStream(target), (error) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Stream entries of an archive into destDir
+ * Entry paths go through resolveEntryPath; one that would escape fails the
+ * extraction. Symbolic links are never created, only counted as skipped.
+ * @param {string} zipPath - Path to ZIP file
+ * @param {string} destDir - Existing directory to extract into
+ * @param {Object} options - { filter(name) => boolean, onProgress({ entries, bytes }) => Promise|void }
+ * @returns {Promise<Object>} - { entries, bytes, skipped } (entries counts files written)
+ */
+function extractEntries(zipPath, destDir, { filter = () => true, onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const progress = { entries: 0, bytes: 0, skipped: 0 };
+    
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: true, validateEntrySizes: true }, (err, zipfile) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      const extract = async (entry) => {
+        if (!filter(entry.fileName)) {
+          return;
+        }
+        
+        if (isSymlinkEntry(entry)) {
+          progress.skipped++;
+          return;
+        }
+        
+        const target = resolveEntryPath(destDir, entry.fileName);
+        if (!target) {
+          throw new Error(`Unsafe entry path: ${entry.fileName}`);
+        }
+        
+        if (/\/$/.test(entry.fileName)) {
+          await fs.promises.mkdir(target, { recursive: true });
+          return;
+        }
+        
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await writeEntry(zipfile, entry, target, (length) => {
+          progress.bytes += length;
+        });
+        
+        progress.entries++;
+        await onProgress({ entries: progress.entries, bytes: progress.bytes });
+      };
+      
+      zipfile.on('entry', (entry) => {
+        extract(entry)
+          .then(() => zipfile.readEntry())
+          .catch((error) => {
+            zipfile.close();
+            reject(error);
+          });
+      });
+      
+      zipfile.on('end', () => {
+        resolve(progress);
+      });
+      
+      zipfile.on('error', (err) => {
+        reject(err);
+      });
+      
+      zipfile.readEntry();
+    });
+  });
+}
+
 module.exports = {
-  listZipContents,
-  isValidZip
+  crc32,
+  forEachEntry,
+  isValidZip,
+  readCentralDirectory,
+  verifyZipEntries,
+  openEntryStream,
+  resolveEntryPath,
+  extractEntries
 };
@@ -0,0 +1,20 @@
+/**
+ * Standalone job worker
+ * Runs finalization (hashing + ZIP validation) away from the API process.
+ * Start as many as needed; they coordinate through the jobs table.
+ */
+
+require('dotenv').config();
+
+const jobWorker = require('./services/jobWorker');
+
+async function shutdown(signal) {
+  console.log(`${signal} received, finishing current job...`);
+  await jobWorker.stopWorker();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+jobWorker.startWorker();
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Uploads by id; the fake applies markUploadFailed's status guard to them
+const uploads = new Map();
+
+/**
+ * Whether a status satisfies the `status IN (...)` or `status <> '...'` condition of a query
+ */
+function matchesStatusGuard(sql, status) {
+  const list = sql.match(/status IN \(([^)]*)\)/);
+  if (list) {
+    return list[1].split(',').map(value => value.trim().slice(1, -1)).includes(status);
+  }
+  
+  const excluded = sql.match(/status <> '(\w+)'/);
+  return !excluded || excluded[1] !== status;
+}
+
+async function query(sql, params) {
+  if (!sql.startsWith(`UPDATE uploads SET status = 'FAILED'`)) {
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+  
+  const [failureReason, uploadId] = params;
+  const upload = uploads.get(uploadId);
+  
+  if (!upload || !matchesStatusGuard(sql, upload.status)) {
+    return [{ affectedRows: 0 }];
+  }
+  
+  upload.status = 'FAILED';
+  upload.failure_reason = failureReason;
+  return [{ affectedRows: 1 }];
+}
+
+// The real pool exits the process when MySQL is unreachable
+require.cache[require.resolve('../src/config/database')] = {
+  id: 'database',
+  filename: require.resolve('../src/config/database'),
+  loaded: true,
+  exports: { query }
+};
+
+const finalizationService = require('../src/services/finalizationService');
+const uploadEvents = require('../src/services/uploadEvents');
+
+const { FAILURE_REASONS, markUploadFailed } = finalizationService;
+
+async function failUpload(status, reason) {
+  const uploadId = `upload-${status}`;
+  uploads.set(uploadId, { status, failure_reason: null });
+  
+  const events = [];
+  const unsubscribe = uploadEvents.subscribe(uploadId, event => events.push(event.type));
+  const failed = await markUploadFailed(uploadId, reason, 'Job timed out');
+  unsubscribe();
+  
+  return { failed, upload: uploads.get(uploadId), events };
+}
+
+for (const status of ['UPLOADING', 'PROCESSING']) {
+  test(`markUploadFailed fails a ${status} upload and announces it`, async () => {
+    const { failed, upload, events } = await failUpload(status, FAILURE_REASONS.ABANDONED);
+    
+    assert.strictEqual(failed, true);
+    assert.deepStrictEqual(upload, { status: 'FAILED', failure_reason: FAILURE_REASONS.ABANDONED });
+    assert.deepStrictEqual(events, [uploadEvents.EVENT_TYPES.STATUS_CHANGE, uploadEvents.EVENT_TYPES.RESULT]);
+  });
+}
+
+test('a late failure from a stale job attempt leaves a COMPLETED upload alone', async () => {
+  const { failed, upload, events } = await failUpload('COMPLETED', FAILURE_REASONS.INTERNAL_ERROR);
+  
+  assert.strictEqual(failed, false);
+  assert.deepStrictEqual(upload, { status: 'COMPLETED', failure_reason: null });
+  assert.deepStrictEqual(events, []);
+});
+
+for (const status of ['CANCELLED', 'FAILED']) {
+  test(`markUploadFailed leaves a ${status} upload alone`, async () => {
+    const { failed, upload, events } = await failUpload(status, FAILURE_REASONS.INTERNAL_ERROR);
+    
+    assert.strictEqual(failed, false);
+    assert.strictEqual(upload.status, status);
+    assert.deepStrictEqual(events, []);
+  });
+}
+
+test('markUploadFailed defaults the reason to INTERNAL_ERROR', async () => {
+  const { upload } = await failUpload('PROCESSING', undefined);
+  
+  assert.strictEqual(upload.failure_reason, FAILURE_REASONS.INTERNAL_ERROR);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, createGlobFilter } = require('../src/utils/globUtils');
+
+function matches(glob, entryPath) {
+  return new RegExp(globToRegExp(glob)).test(entryPath);
+}
+
+test('a pattern without / matches the file name in any directory', () => {
+  assert.ok(matches('*.pdf', 'a.pdf'));
+  assert.ok(matches('*.pdf', 'docs/deep/a.pdf'));
+  assert.ok(!matches('*.pdf', 'a.pdf.bak'));
+  assert.ok(!matches('*.pdf', 'a.txt'));
+});
+
+test('a pattern with / is anchored at the root', () => {
+  assert.ok(matches('docs/*.md', 'docs/a.md'));
+  assert.ok(!matches('docs/*.md', 'other/docs/a.md'));
+});
+
+test('* stays within one path segment', () => {
+  assert.ok(matches('docs/*', 'docs/a.md'));
+  assert.ok(!matches('docs/*', 'docs/sub/a.md'));
+});
+
+test('** crosses path segments', () => {
+  assert.ok(matches('docs/**', 'docs/a.md'));
+  assert.ok(matches('docs/**', 'docs/sub/deep/a.md'));
+  assert.ok(!matches('docs/**', 'other/a.md'));
+});
+
+test('**/ also matches no directories at all', () => {
+  assert.ok(matches('docs/**/*.md', 'docs/a.md'));
+  assert.ok(matches('docs/**/*.md', 'docs/sub/deep/a.md'));
+  assert.ok(!matches('docs/**/*.md', 'docs/sub/a.txt'));
+});
+
+test('? matches exactly one character other than /', () => {
+  assert.ok(matches('a?c', 'abc'));
+  assert.ok(!matches('a?c', 'ac'));
+  assert.ok(!matches('a?c', 'abbc'));
+  assert.ok(!matches('dir?c', 'dir/c'));
+});
+
+test('[ is a literal, not a character class', () => {
+  assert.ok(matches('[ab].txt', '[ab].txt'));
+  assert.ok(!matches('[ab].txt', 'a.txt'));
+});
+
+test('regular expression specials are literals', () => {
+  assert.ok(matches('a+b(1).txt', 'a+b(1).txt'));
+  assert.ok(!matches('a+b(1).txt', 'aab1.txt'));
+  assert.ok(matches('$^{x}|y\\z', '$^{x}|y\\z'));
+  assert.ok(!matches('a.txt', 'abtxt'));
+});
+
+test('a directory entry matches with its trailing slash', () => {
+  assert.ok(matches('docs', 'docs/'));
+  assert.ok(matches('docs', 'a/docs/'));
+});
+
+test('createGlobFilter matches everything without globs', () => {
+  const filter = createGlobFilter();
+  
+  assert.ok(filter('a.txt'));
+  assert.ok(filter('docs/a.md'));
+});
+
+test('createGlobFilter keeps only included paths', () => {
+  const filter = createGlobFilter({ include: ['*.md', 'images/**'] });
+  
+  assert.ok(filter('docs/a.md'));
+  assert.ok(filter('images/a/b.png'));
+  assert.ok(!filter('a.txt'));
+});
+
+test('createGlobFilter exclusions win over inclusions', () => {
+  const filter = createGlobFilter({ include: ['docs/**'], exclude: ['*.tmp'] });
+  
+  assert.ok(filter('docs/a.md'));
+  assert.ok(!filter('docs/a.tmp'));
+  assert.ok(!filter('other/a.md'));
+});
+
+test('createGlobFilter with only exclusions keeps everything else', () => {
+  const filter = createGlobFilter({ exclude: ['__MACOSX/**', '.DS_Store'] });
+  
+  assert.ok(filter('docs/a.md'));
+  assert.ok(!filter('__MACOSX/docs/._a.md'));
+  assert.ok(!filter('docs/.DS_Store'));
+});
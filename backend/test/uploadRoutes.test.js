@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CHUNK_SIZE = 1024;
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-routes-'));
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-routes-files-'));
+
+process.env.MAX_CHUNK_SIZE = String(CHUNK_SIZE);
+process.env.TEMP_DIR = tempDir;
+// No background hashing passes against the fake database
+process.env.INCREMENTAL_HASH = 'false';
+
+// The real pool exits the process when MySQL is unreachable
+const upload = {
+  id: 'upload-1',
+  file_path: path.join(uploadDir, 'upload-1.zip'),
+  total_chunks: 4,
+  total_size: 4 * CHUNK_SIZE,
+  chunk_size: CHUNK_SIZE,
+  status: 'UPLOADING'
+};
+
+// Set to simulate a cancel landing while a chunk is being written
+let cancelBeforeRecording = false;
+
+async function query(sql) {
+  if (sql.startsWith('UPDATE uploads')) {
+    if (cancelBeforeRecording) {
+      upload.status = 'CANCELLED';
+    }
+    return [{ affectedRows: upload.status === 'UPLOADING' ? 1 : 0 }];
+  }
+  if (sql.includes('COUNT(*)')) {
+    return [[{ total: upload.total_chunks, completed: '1' }]];
+  }
+  return [sql.includes('FROM uploads') ? [upload] : []];
+}
+
+const connection = {
+  query,
+  async beginTransaction() {},
+  async commit() {},
+  async rollback() {},
+  release() {}
+};
+
+require.cache[require.resolve('../src/config/database')] = {
+  id: 'database',
+  filename: require.resolve('../src/config/database'),
+  loaded: true,
+  exports: {
+    query,
+    getConnection: async () => connection
+  }
+};
+
+const express = require('express');
+const uploadRoutes = require('../src/routes/uploadRoutes');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/upload', uploadRoutes);
+  
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test('POST /upload/chunk answers a chunk over MAX_CHUNK_SIZE with INVALID_CHUNK_LENGTH', async () => {
+  const form = new FormData();
+  form.append('uploadId', upload.id);
+  form.append('chunkIndex', '2');
+  form.append('chunk', new Blob([Buffer.alloc(2 * CHUNK_SIZE)]), 'chunk');
+  
+  const response = await fetch(`${baseUrl}/upload/chunk`, { method: 'POST', body: form });
+  
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(), {
+    error: 'Invalid chunk length',
+    code: 'INVALID_CHUNK_LENGTH',
+    chunkIndex: 2,
+    maxLength: CHUNK_SIZE
+  });
+  assert.deepStrictEqual(fs.readdirSync(tempDir), []);
+});
+
+test('PUT /upload/:id/chunks/:index answers the same chunk with the same code', async () => {
+  const response = await fetch(`${baseUrl}/upload/${upload.id}/chunks/2`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: Buffer.alloc(2 * CHUNK_SIZE)
+  });
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).code, 'INVALID_CHUNK_LENGTH');
+});
+
+test('a chunk written while its upload was cancelled is not recorded', async () => {
+  fs.writeFileSync(upload.file_path, Buffer.alloc(upload.total_size));
+  cancelBeforeRecording = true;
+  
+  const response = await fetch(`${baseUrl}/upload/${upload.id}/chunks/1`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: Buffer.alloc(CHUNK_SIZE)
+  });
+  
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(), {
+    error: 'Upload is in CANCELLED state, cannot accept chunks',
+    code: 'UPLOAD_NOT_ACCEPTING',
+    status: 'CANCELLED'
+  });
+});
+
+/**
+ * PUT one part of chunk 1 of the fake upload
+ */
+function putPart(body, partOffset, chunkHash) {
+  const headers = { 'Content-Type': 'application/octet-stream', 'X-Chunk-Offset': String(partOffset) };
+  if (chunkHash) {
+    headers['X-Chunk-Hash'] = chunkHash;
+  }
+  
+  return fetch(`${baseUrl}/upload/${upload.id}/chunks/1`, { method: 'PUT', headers, body });
+}
+
+function resetUpload() {
+  cancelBeforeRecording = false;
+  upload.status = 'UPLOADING';
+  fs.writeFileSync(upload.file_path, Buffer.alloc(upload.total_size));
+}
+
+test('a chunk sent in parts is stored and recorded once the last part arrives', async () => {
+  resetUpload();
+  const chunk = crypto.randomBytes(CHUNK_SIZE);
+  const chunkHash = crypto.createHash('sha256').update(chunk).digest('hex');
+  
+  const first = await putPart(chunk.subarray(0, 300), 0, chunkHash);
+  assert.strictEqual(first.status, 202);
+  assert.deepStrictEqual(await first.json(), { message: 'Chunk part stored', chunkIndex: 1, received: 300 });
+  
+  const second = await putPart(chunk.subarray(300, 700), 300, chunkHash);
+  assert.strictEqual(second.status, 202);
+  
+  const last = await putPart(chunk.subarray(700), 700, chunkHash);
+  assert.strictEqual(last.status, 200);
+  assert.strictEqual((await last.json()).message, 'Chunk uploaded successfully');
+  
+  const stored = fs.readFileSync(upload.file_path).subarray(CHUNK_SIZE, 2 * CHUNK_SIZE);
+  assert.ok(stored.equals(chunk));
+});
+
+test('a chunk missing a part fails the hash check when the last part arrives', async () => {
+  resetUpload();
+  const chunk = crypto.randomBytes(CHUNK_SIZE);
+  const chunkHash = crypto.createHash('sha256').update(chunk).digest('hex');
+  
+  await putPart(chunk.subarray(0, 300), 0, chunkHash);
+  const last = await putPart(chunk.subarray(700), 700, chunkHash);
+  
+  assert.strictEqual(last.status, 400);
+  assert.strictEqual((await last.json()).code, 'CHUNK_HASH_MISMATCH');
+});
+
+test('parts need X-Chunk-Hash and an offset inside the chunk', async () => {
+  resetUpload();
+  
+  const unhashed = await putPart(Buffer.alloc(100), 0);
+  assert.strictEqual(unhashed.status, 400);
+  assert.strictEqual((await unhashed.json()).code, 'MISSING_FIELDS');
+  
+  for (const partOffset of [CHUNK_SIZE, -1, 1.5]) {
+    const response = await putPart(Buffer.alloc(10), partOffset, 'hash');
+    assert.strictEqual(response.status, 400, String(partOffset));
+    assert.strictEqual((await response.json()).code, 'INVALID_CHUNK_LENGTH');
+  }
+  
+  const overlong = await putPart(Buffer.alloc(CHUNK_SIZE), 100, 'hash');
+  assert.strictEqual(overlong.status, 400);
+  assert.strictEqual((await overlong.json()).actualLength, CHUNK_SIZE + 100);
+});
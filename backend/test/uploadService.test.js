@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// No background hashing passes against the fake database
+process.env.INCREMENTAL_HASH = 'false';
+
+// The real pool exits the process when MySQL is unreachable
+require.cache[require.resolve('../src/config/database')] = {
+  id: 'database',
+  filename: require.resolve('../src/config/database'),
+  loaded: true,
+  exports: {}
+};
+
+const uploadService = require('../src/services/uploadService');
+const uploadEvents = require('../src/services/uploadEvents');
+
+/**
+ * Connection double for one upload with the given status and chunk counts
+ */
+function fakeConnection({ status, completed, total }) {
+  const statements = [];
+  
+  return {
+    statements,
+    async query(sql) {
+      statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      
+      if (sql.startsWith('UPDATE uploads')) {
+        return [{ affectedRows: status === 'UPLOADING' ? 1 : 0 }];
+      }
+      if (sql.includes('COUNT(*)')) {
+        return [[{ total, completed: String(completed) }]];
+      }
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+function collectEvents(uploadId) {
+  const events = [];
+  const unsubscribe = uploadEvents.subscribe(uploadId, event => events.push(event.type));
+  return { events, unsubscribe };
+}
+
+for (const status of ['CANCELLED', 'FAILED', 'PROCESSING']) {
+  test(`recordChunkSuccess ignores a chunk that lands on a ${status} upload`, async () => {
+    const connection = fakeConnection({ status, completed: 4, total: 4 });
+    const { events, unsubscribe } = collectEvents('upload-1');
+    
+    const recorded = await uploadService.recordChunkSuccess(connection, 'upload-1', 3, 'hash', 1024);
+    unsubscribe();
+    
+    assert.strictEqual(recorded, null);
+    assert.deepStrictEqual(connection.statements, ['UPDATE uploads SET']);
+    assert.deepStrictEqual(events, []);
+  });
+}
+
+test('recordChunkSuccess queues finalization for the last chunk but publishes nothing', async () => {
+  const connection = fakeConnection({ status: 'UPLOADING', completed: 4, total: 4 });
+  const { events, unsubscribe } = collectEvents('upload-2');
+  
+  const recorded = await uploadService.recordChunkSuccess(connection, 'upload-2', 3, 'hash', 1024);
+  unsubscribe();
+  
+  assert.deepStrictEqual(recorded, { chunkIndex: 3, byteLength: 1024, completed: 4, total: 4, isComplete: true });
+  assert.deepStrictEqual(connection.statements, [
+    'UPDATE uploads SET',
+    'UPDATE chunks SET',
+    'SELECT COUNT(*) as',
+    'INSERT INTO jobs'
+  ]);
+  assert.deepStrictEqual(events, []);
+});
+
+test('recordChunkSuccess does not queue finalization while chunks are missing', async () => {
+  const connection = fakeConnection({ status: 'UPLOADING', completed: 2, total: 4 });
+  
+  const recorded = await uploadService.recordChunkSuccess(connection, 'upload-3', 1, 'hash', 1024);
+  
+  assert.strictEqual(recorded.isComplete, false);
+  assert.ok(!connection.statements.includes('INSERT INTO jobs'));
+});
+
+test('publishChunkSuccess announces the recorded chunk', () => {
+  const received = [];
+  const unsubscribe = uploadEvents.subscribe('upload-4', event => received.push(event));
+  
+  uploadService.publishChunkSuccess('upload-4', { chunkIndex: 1, byteLength: 1024, completed: 2, total: 4, isComplete: false });
+  unsubscribe();
+  
+  assert.deepStrictEqual(received, [{
+    type: uploadEvents.EVENT_TYPES.CHUNK_RECEIVED,
+    data: { uploadId: 'upload-4', chunkIndex: 1, byteLength: 1024, completed: 2, total: 4 }
+  }]);
+});
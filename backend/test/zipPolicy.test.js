@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { VIOLATIONS, evaluateZipPolicy } = require('../src/utils/zipPolicy');
+
+const MB = 1024 * 1024;
+
+const POLICY = {
+  maxEntries: 100,
+  maxTotalUncompressedSize: 100 * MB,
+  maxEntryRatio: 100,
+  maxTotalRatio: 50,
+  ratioMinSize: MB,
+  allowSymlinks: false,
+  allowEncrypted: false,
+  allowDuplicates: false
+};
+
+function entry(name, overrides = {}) {
+  return {
+    name,
+    names: [name],
+    uncompressedSize: 1000,
+    compressedSize: 500,
+    isSymlink: false,
+    isEncrypted: false,
+    ...overrides
+  };
+}
+
+function evaluate(entries, policy = {}) {
+  return evaluateZipPolicy({ entryCount: entries.length, entries }, { ...POLICY, ...policy });
+}
+
+function codes(result) {
+  return result.violations.map(v => v.code);
+}
+
+test('passes an ordinary archive', () => {
+  const result = evaluate([entry('docs/'), entry('docs/a.txt'), entry('b.bin')]);
+  
+  assert.deepStrictEqual(result, { passed: true, violationCount: 0, violations: [] });
+});
+
+test('TOO_MANY_ENTRIES stops before looking at entries', () => {
+  const result = evaluateZipPolicy({ entryCount: 101, entries: null }, POLICY);
+  
+  assert.deepStrictEqual(codes(result), [VIOLATIONS.TOO_MANY_ENTRIES]);
+  assert.strictEqual(result.violations[0].entry, null);
+});
+
+test('TOTAL_SIZE_EXCEEDED sums uncompressed sizes', () => {
+  const big = { uncompressedSize: 60 * MB, compressedSize: 60 * MB };
+  
+  assert.deepStrictEqual(codes(evaluate([entry('a', big), entry('b', big)])), [VIOLATIONS.TOTAL_SIZE_EXCEEDED]);
+  assert.ok(evaluate([entry('a', big)]).passed);
+});
+
+test('ENTRY_RATIO_EXCEEDED flags one highly compressed entry', () => {
+  const bomb = entry('bomb.bin', { uncompressedSize: 2 * MB, compressedSize: 1000 });
+  const filler = entry('filler.bin', { uncompressedSize: 10 * MB, compressedSize: 10 * MB });
+  const result = evaluate([bomb, filler]);
+  
+  assert.deepStrictEqual(codes(result), [VIOLATIONS.ENTRY_RATIO_EXCEEDED]);
+  assert.strictEqual(result.violations[0].entry, 'bomb.bin');
+});
+
+test('ENTRY_RATIO_EXCEEDED treats data from nothing as infinite', () => {
+  const result = evaluate([
+    entry('empty-source.bin', { uncompressedSize: 2 * MB, compressedSize: 0 }),
+    entry('filler.bin', { uncompressedSize: 10 * MB, compressedSize: 10 * MB })
+  ]);
+  
+  assert.deepStrictEqual(codes(result), [VIOLATIONS.ENTRY_RATIO_EXCEEDED]);
+});
+
+test('ratios are not checked below ratioMinSize', () => {
+  assert.ok(evaluate([entry('small.txt', { uncompressedSize: MB - 1, compressedSize: 10 })]).passed);
+});
+
+test('TOTAL_RATIO_EXCEEDED flags an archive that is compressed too well overall', () => {
+  const entries = Array.from({ length: 10 }, (_, i) => (
+    entry(`part${i}.bin`, { uncompressedSize: 2 * MB, compressedSize: 30 * 1024 })
+  ));
+  
+  assert.deepStrictEqual(codes(evaluate(entries)), [VIOLATIONS.TOTAL_RATIO_EXCEEDED]);
+});
+
+test('PATH_TRAVERSAL catches zip-slip with either separator', () => {
+  for (const name of ['../evil.sh', 'docs/../../evil.sh', 'docs\\..\\..\\evil.sh', '..']) {
+    const result = evaluate([entry(name)]);
+    assert.deepStrictEqual(codes(result), [VIOLATIONS.PATH_TRAVERSAL], name);
+    assert.strictEqual(result.violations[0].entry, name);
+  }
+});
+
+test('PATH_TRAVERSAL ignores names that only contain dots', () => {
+  assert.ok(evaluate([entry('a..b/c...txt'), entry('.hidden/..x')]).passed);
+});
+
+test('ABSOLUTE_PATH catches Unix, backslash and drive-letter paths', () => {
+  for (const name of ['/etc/passwd', '\\Windows\\system.ini', 'C:\\evil.exe', 'c:/evil.exe', 'D:evil.exe']) {
+    assert.deepStrictEqual(codes(evaluate([entry(name)])), [VIOLATIONS.ABSOLUTE_PATH], name);
+  }
+});
+
+test('an absolute path with .. is reported once, as ABSOLUTE_PATH', () => {
+  assert.deepStrictEqual(codes(evaluate([entry('/tmp/../etc/passwd')])), [VIOLATIONS.ABSOLUTE_PATH]);
+});
+
+test('path rules also check the Info-ZIP Unicode path', () => {
+  const result = evaluate([entry('safe.txt', { names: ['safe.txt', '../evil.txt'] })]);
+  
+  assert.deepStrictEqual(codes(result), [VIOLATIONS.PATH_TRAVERSAL]);
+  assert.strictEqual(result.violations[0].entry, '../evil.txt');
+});
+
+test('SYMLINK_ENTRY unless symlinks are allowed', () => {
+  const link = entry('link', { isSymlink: true });
+  
+  assert.deepStrictEqual(codes(evaluate([link])), [VIOLATIONS.SYMLINK_ENTRY]);
+  assert.ok(evaluate([link], { allowSymlinks: true }).passed);
+});
+
+test('ENCRYPTED_ENTRY unless encryption is allowed', () => {
+  const secret = entry('secret.txt', { isEncrypted: true });
+  
+  assert.deepStrictEqual(codes(evaluate([secret])), [VIOLATIONS.ENCRYPTED_ENTRY]);
+  assert.ok(evaluate([secret], { allowEncrypted: true }).passed);
+});
+
+test('DUPLICATE_ENTRY flags the second entry with the same path', () => {
+  const result = evaluate([entry('a.txt'), entry('a.txt')]);
+  
+  assert.deepStrictEqual(codes(result), [VIOLATIONS.DUPLICATE_ENTRY]);
+  assert.ok(evaluate([entry('a.txt'), entry('a.txt')], { allowDuplicates: true }).passed);
+});
+
+test('DUPLICATE_ENTRY sees through ./, // and backslashes', () => {
+  for (const [first, second] of [['a/b', 'a/./b'], ['a/b', 'a//b'], ['a/b', './a/b'], ['a/b', 'a\\b']]) {
+    assert.deepStrictEqual(codes(evaluate([entry(first), entry(second)])), [VIOLATIONS.DUPLICATE_ENTRY], second);
+  }
+});
+
+test('DUPLICATE_ENTRY ignores case', () => {
+  const result = evaluate([entry('Docs/README.md'), entry('docs/readme.md')]);
+  
+  assert.deepStrictEqual(codes(result), [VIOLATIONS.DUPLICATE_ENTRY]);
+  assert.strictEqual(result.violations[0].entry, 'docs/readme.md');
+});
+
+test('DUPLICATE_ENTRY ignores the Unicode normal form', () => {
+  const composed = 'caf\u00e9.txt';
+  const decomposed = 'cafe\u0301.txt';
+  
+  assert.deepStrictEqual(codes(evaluate([entry(composed), entry(decomposed)])), [VIOLATIONS.DUPLICATE_ENTRY]);
+});
+
+test('a file and a directory of the same name are not duplicates', () => {
+  assert.ok(evaluate([entry('a'), entry('a/')]).passed);
+});
+
+test('reports at most 100 violations but counts them all', () => {
+  const entries = Array.from({ length: 150 }, (_, i) => entry(`../evil${i}`));
+  const result = evaluateZipPolicy({ entryCount: 150, entries }, { ...POLICY, maxEntries: 1000 });
+  
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.violationCount, 150);
+  assert.strictEqual(result.violations.length, 100);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { resolveEntryPath } = require('../src/utils/zipUtils');
+
+const DEST = path.resolve('/tmp/extract-dest');
+
+test('resolveEntryPath places ordinary entries under the destination', () => {
+  assert.strictEqual(resolveEntryPath(DEST, 'a.txt'), path.join(DEST, 'a.txt'));
+  assert.strictEqual(resolveEntryPath(DEST, 'docs/sub/a.txt'), path.join(DEST, 'docs', 'sub', 'a.txt'));
+  assert.strictEqual(resolveEntryPath(DEST, 'docs/'), path.join(DEST, 'docs'));
+});
+
+test('resolveEntryPath reads backslashes as separators', () => {
+  assert.strictEqual(resolveEntryPath(DEST, 'docs\\sub\\a.txt'), path.join(DEST, 'docs', 'sub', 'a.txt'));
+});
+
+test('resolveEntryPath drops empty and . segments', () => {
+  assert.strictEqual(resolveEntryPath(DEST, './docs//./a.txt'), path.join(DEST, 'docs', 'a.txt'));
+});
+
+test('resolveEntryPath rejects .. segments even when they stay inside', () => {
+  for (const name of ['../evil.sh', 'docs/../../evil.sh', 'docs/../a.txt', '..', 'docs\\..\\..\\evil.sh']) {
+    assert.strictEqual(resolveEntryPath(DEST, name), null, name);
+  }
+});
+
+test('resolveEntryPath keeps names that only contain dots', () => {
+  assert.strictEqual(resolveEntryPath(DEST, 'a..b/...'), path.join(DEST, 'a..b', '...'));
+});
+
+test('resolveEntryPath rejects absolute and drive-letter paths', () => {
+  for (const name of ['/etc/passwd', '\\Windows\\system.ini', 'C:\\evil.exe', 'c:/evil.exe', 'D:evil.exe']) {
+    assert.strictEqual(resolveEntryPath(DEST, name), null, name);
+  }
+});
+
+test('resolveEntryPath rejects NUL bytes', () => {
+  assert.strictEqual(resolveEntryPath(DEST, 'a.txt\0.jpg'), null);
+});
+
+test('resolveEntryPath rejects entries that resolve to the destination itself', () => {
+  for (const name of ['', '.', './', '//']) {
+    assert.strictEqual(resolveEntryPath(DEST, name), null, JSON.stringify(name));
+  }
+});
+
+test('resolveEntryPath returns an absolute path for a relative destination', () => {
+  assert.strictEqual(resolveEntryPath('extract-dest', 'a.txt'), path.resolve('extract-dest', 'a.txt'));
+});
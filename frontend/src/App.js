@@ -1,7 +1,10 @@
-import React, { useState, useRef } from 'react';
-import { uploadFile } from './services/uploadService';
+import React, { useState, useRef, useEffect } from 'react';
+import { uploadFile, cancelUpload } from './services/uploadService';
+import { listUploads, removeUpload } from './services/uploadStore';
+import { createSpeedMeter } from './services/speedMeter';
 import ProgressBar from './components/ProgressBar';
 import ChunkGrid from './components/ChunkGrid';
+import ZipBrowser from './components/ZipBrowser';
 import './App.css';
 
 function App() {
@@ -13,15 +16,40 @@ function App() {
     speed: 0,
     eta: 0,
     uploadedSize: 0,
+    resumedSize: 0,
     totalSize: 0
   });
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [uploadId, setUploadId] = useState(null);
+  const [totalChunks, setTotalChunks] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [finalizing, setFinalizing] = useState(null);
+  const [hashing, setHashing] = useState(null);
+  const [bandwidthLimit, setBandwidthLimit] = useState('');
+  const [concurrency, setConcurrency] = useState(null);
+  const [deepVerify, setDeepVerify] = useState(false);
+  const [interruptedUploads, setInterruptedUploads] = useState([]);
+  const [resumeTarget, setResumeTarget] = useState(null);
   
   const fileInputRef = useRef(null);
-  const startTimeRef = useRef(null);
-  const uploadedBytesRef = useRef(0);
+  const hashStartRef = useRef(null);
+  const speedMeterRef = useRef(null);
+  const uploadControllerRef = useRef(null);
+  
+  const refreshInterruptedUploads = async () => {
+    try {
+      setInterruptedUploads(await listUploads());
+    } catch (err) {
+      console.warn('Could not load interrupted uploads:', err.message);
+    }
+  };
+  
+  // Uploads left behind by a closed tab or a reload
+  useEffect(() => {
+    refreshInterruptedUploads();
+  }, []);
   
   const handleFileSelect = (event) => {
     const selectedFile = event.target.files[0];
@@ -37,29 +65,58 @@ function App() {
     setFile(selectedFile);
     setError(null);
     setSuccess(false);
+    setCancelled(false);
     setProgress(0);
     setChunkStates([]);
+    setTotalChunks(null);
   };
   
-  const calculateMetrics = (uploaded, total) => {
-    const currentTime = Date.now();
-    const elapsedTime = (currentTime - startTimeRef.current) / 1000; // seconds
-    
-    if (elapsedTime === 0) return;
-    
-    const CHUNK_SIZE = 5 * 1024 * 1024;
-    const uploadedBytes = uploaded * CHUNK_SIZE;
-    uploadedBytesRef.current = uploadedBytes;
+  // Speed counts only bytes sent this session; chunks the server already had are not a measure of it
+  const updateMetrics = ({ resumedBytes, uploadedBytes, sentBytes, totalBytes }) => {
+    const doneBytes = resumedBytes + uploadedBytes;
     
-    const speed = (uploadedBytes / (1024 * 1024)) / elapsedTime; // MB/s
-    const remainingBytes = total * CHUNK_SIZE - uploadedBytes;
-    const eta = speed > 0 ? remainingBytes / (speed * 1024 * 1024) : 0;
+    const speed = speedMeterRef.current.update(sentBytes) / (1024 * 1024); // MB/s
+    const eta = speed > 0 ? (totalBytes - doneBytes) / (speed * 1024 * 1024) : 0;
     
+    setProgress(totalBytes > 0 ? Math.floor((doneBytes / totalBytes) * 100) : 100);
     setMetrics({
       speed,
       eta,
-      uploadedSize: uploadedBytes,
-      totalSize: total * CHUNK_SIZE
+      uploadedSize: doneBytes,
+      resumedSize: resumedBytes,
+      totalSize: totalBytes
+    });
+  };
+  
+  // MB/s from the cap field; empty (or not a positive number) means unlimited
+  const toBytesPerSecond = (value) => {
+    const mbPerSecond = parseFloat(value);
+    return mbPerSecond > 0 ? mbPerSecond * 1024 * 1024 : null;
+  };
+  
+  const handleBandwidthLimitChange = (event) => {
+    setBandwidthLimit(event.target.value);
+    
+    // Applies to the running upload from its next chunk
+    if (uploadControllerRef.current) {
+      uploadControllerRef.current.setBandwidthLimit(toBytesPerSecond(event.target.value));
+    }
+  };
+  
+  // The file is hashed (in a worker) before anything is sent
+  const updateHashing = (hashedBytes, totalBytes) => {
+    const elapsedTime = (Date.now() - hashStartRef.current) / 1000;
+    const speed = elapsedTime > 0 ? (hashedBytes / (1024 * 1024)) / elapsedTime : 0;
+    const eta = speed > 0 ? (totalBytes - hashedBytes) / (speed * 1024 * 1024) : 0;
+    
+    setHashing({
+      progress: totalBytes > 0 ? Math.round((hashedBytes / totalBytes) * 100) : 100,
+      metrics: {
+        speed,
+        eta,
+        uploadedSize: hashedBytes,
+        totalSize: totalBytes
+      }
     });
   };
   
@@ -69,18 +126,32 @@ function App() {
     setUploading(true);
     setError(null);
     setSuccess(false);
+    setCancelled(false);
+    setPaused(false);
+    setFinalizing(null);
+    setConcurrency(null);
     setProgress(0);
-    startTimeRef.current = Date.now();
-    uploadedBytesRef.current = 0;
+    hashStartRef.current = Date.now();
+    updateHashing(0, file.size);
     
     try {
-      const result = await uploadFile(file, {
-        onProgress: (uploaded, total) => {
-          const percentage = Math.round((uploaded / total) * 100);
-          setProgress(percentage);
-          calculateMetrics(uploaded, total);
+      const controller = uploadFile(file, {
+        onHashProgress: updateHashing,
+        
+        onConcurrencyChange: (limit) => {
+          setConcurrency(limit);
         },
         
+        onInit: ({ totalChunks, chunkStates }) => {
+          // Upload speed is measured from here, not from the start of hashing
+          setHashing(null);
+          speedMeterRef.current = createSpeedMeter();
+          setTotalChunks(totalChunks);
+          setChunkStates([...chunkStates]);
+        },
+        
+        onBytesProgress: updateMetrics,
+        
         onChunkComplete: (chunkIndex, status, states) => {
           setChunkStates([...states]);
         },
@@ -90,6 +161,11 @@ function App() {
           console.error(`Chunk ${chunkIndex} error:`, errorMsg);
         },
         
+        // All chunks are in; the server is hashing and validating the ZIP
+        onFinalizeProgress: (state) => {
+          setFinalizing(state);
+        },
+        
         onComplete: (id) => {
           setSuccess(true);
           setUploadId(id);
@@ -98,12 +174,89 @@ function App() {
         onError: (errorMsg) => {
           setError(errorMsg);
         }
+      }, {
+        resumeFrom: resumeTarget,
+        // Unchecked leaves the choice to the server default
+        deepVerify: deepVerify || undefined,
+        bandwidthLimit: toBytesPerSecond(bandwidthLimit)
       });
       
+      uploadControllerRef.current = controller;
+      await controller.done;
+      
     } catch (err) {
-      setError(err.message);
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
     } finally {
+      uploadControllerRef.current = null;
       setUploading(false);
+      setPaused(false);
+      setFinalizing(null);
+      setHashing(null);
+      setResumeTarget(null);
+      refreshInterruptedUploads();
+    }
+  };
+  
+  const handleResumeInterrupted = (record) => {
+    // The File itself cannot be persisted, so the user picks it again
+    setResumeTarget(record);
+    setFile(null);
+    setError(null);
+    setSuccess(false);
+    setCancelled(false);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+      fileInputRef.current.click();
+    }
+  };
+  
+  const handleDiscardInterrupted = async (record) => {
+    try {
+      await cancelUpload(record.uploadId);
+    } catch (err) {
+      console.warn(`Could not cancel upload ${record.uploadId}:`, err.message);
+    }
+    
+    await removeUpload(record.uploadId);
+    
+    if (resumeTarget && resumeTarget.uploadId === record.uploadId) {
+      setResumeTarget(null);
+    }
+    
+    refreshInterruptedUploads();
+  };
+  
+  const handlePause = () => {
+    if (!uploadControllerRef.current) return;
+    
+    uploadControllerRef.current.pause();
+    setPaused(true);
+  };
+  
+  const handleResume = () => {
+    if (!uploadControllerRef.current) return;
+    
+    // Time spent paused must not count against the upload speed
+    if (speedMeterRef.current) {
+      speedMeterRef.current.restart();
+    }
+    
+    uploadControllerRef.current.resume();
+    setPaused(false);
+  };
+  
+  const handleCancel = async () => {
+    if (!uploadControllerRef.current) return;
+    
+    setCancelled(true);
+    setChunkStates([]);
+    
+    try {
+      await uploadControllerRef.current.cancel();
+    } catch (err) {
+      setError(err.message);
     }
   };
   
@@ -116,11 +269,15 @@ function App() {
       speed: 0,
       eta: 0,
       uploadedSize: 0,
+      resumedSize: 0,
       totalSize: 0
     });
     setError(null);
     setSuccess(false);
+    setCancelled(false);
     setUploadId(null);
+    setTotalChunks(null);
+    setResumeTarget(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -146,10 +303,44 @@ function App() {
               id="file-input"
             />
             <label htmlFor="file-input" className="file-label">
-              {file ? file.name : 'Choose ZIP file'}
+              {file ? file.name : resumeTarget ? `Select ${resumeTarget.filename} to resume` : 'Choose ZIP file'}
             </label>
           </div>
           
+          {!uploading && interruptedUploads.length > 0 && (
+            <div className="interrupted-uploads">
+              <h3>Interrupted uploads</h3>
+              <p className="interrupted-hint">Re-select the same file to continue where it stopped.</p>
+              {interruptedUploads.map(record => (
+                <div
+                  key={record.uploadId}
+                  className={`interrupted-item${resumeTarget && resumeTarget.uploadId === record.uploadId ? ' interrupted-item-selected' : ''}`}
+                >
+                  <div className="interrupted-info">
+                    <span className="interrupted-name">{record.filename}</span>
+                    <span className="interrupted-meta">
+                      {(record.size / (1024 * 1024)).toFixed(2)} MB • last active {new Date(record.updatedAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <div className="interrupted-actions">
+                    <button
+                      onClick={() => handleResumeInterrupted(record)}
+                      className="button button-primary button-small"
+                    >
+                      Resume
+                    </button>
+                    <button
+                      onClick={() => handleDiscardInterrupted(record)}
+                      className="button button-secondary button-small"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          
           {file && (
             <div className="file-info">
               <div className="info-row">
@@ -165,21 +356,65 @@ function App() {
               <div className="info-row">
                 <span className="info-label">Chunks:</span>
                 <span className="info-value">
-                  {Math.ceil(file.size / (5 * 1024 * 1024))}
+                  {totalChunks !== null ? totalChunks : 'Decided by server'}
                 </span>
               </div>
             </div>
           )}
           
+          <label className="option-row">
+            <input
+              type="checkbox"
+              checked={deepVerify}
+              onChange={(event) => setDeepVerify(event.target.checked)}
+              disabled={uploading || Boolean(resumeTarget)}
+            />
+            <span>Deep ZIP verification (CRC-check every entry after upload)</span>
+          </label>
+          
+          <label className="option-row">
+            <span>Upload speed limit</span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              className="bandwidth-input"
+              placeholder="Unlimited"
+              value={bandwidthLimit}
+              onChange={handleBandwidthLimitChange}
+            />
+            <span>MB/s</span>
+          </label>
+          
           <div className="button-group">
             <button
               onClick={handleUpload}
               disabled={!file || uploading}
               className="button button-primary"
             >
-              {uploading ? 'Uploading...' : 'Start Upload'}
+              {uploading
+                ? (hashing ? 'Hashing...' : paused ? 'Paused' : 'Uploading...')
+                : resumeTarget ? 'Resume Upload' : 'Start Upload'}
             </button>
             
+            {uploading && !hashing && (
+              <button
+                onClick={paused ? handleResume : handlePause}
+                className="button button-secondary"
+              >
+                {paused ? 'Resume' : 'Pause'}
+              </button>
+            )}
+            
+            {uploading && (
+              <button
+                onClick={handleCancel}
+                className="button button-danger"
+              >
+                Cancel
+              </button>
+            )}
+            
             <button
               onClick={handleReset}
               disabled={uploading}
@@ -190,10 +425,21 @@ function App() {
           </div>
         </div>
         
-        {uploading && (
+        {uploading && hashing && (
+          <ProgressBar progress={hashing.progress} metrics={hashing.metrics} label="Hashing…" />
+        )}
+        
+        {uploading && !hashing && (
           <>
-            <ProgressBar progress={progress} metrics={metrics} />
-            <ChunkGrid chunks={chunkStates} />
+            <ProgressBar progress={progress} metrics={{ ...metrics, concurrency }} paused={paused} />
+            <ChunkGrid chunks={chunkStates} paused={paused} />
+            {finalizing && (
+              <div className="finalize-status">
+                {finalizing.status === 'PROCESSING'
+                  ? `Verifying on server${finalizing.percent !== null ? `: hashing ${finalizing.percent}%` : '...'}`
+                  : 'Waiting for server verification...'}
+              </div>
+            )}
           </>
         )}
         
@@ -204,6 +450,13 @@ function App() {
           </div>
         )}
         
+        {cancelled && (
+          <div className="alert alert-info">
+            <span className="alert-icon">🛑</span>
+            <span>Upload cancelled</span>
+          </div>
+        )}
+        
         {success && (
           <div className="alert alert-success">
             <span className="alert-icon">✅</span>
@@ -214,6 +467,8 @@ function App() {
           </div>
         )}
         
+        {success && uploadId && <ZipBrowser uploadId={uploadId} />}
+        
         <footer className="footer">
           <p>Features: Chunked Upload • Resumability • Fault Tolerance • Memory Efficient</p>
         </footer>
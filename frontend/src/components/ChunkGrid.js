@@ -6,7 +6,7 @@
 import React from 'react';
 import './ChunkGrid.css';
 
-const ChunkGrid = ({ chunks }) => {
+const ChunkGrid = ({ chunks, paused = false }) => {
   const getChunkColor = (status) => {
     switch (status) {
       case 'pending': return '#e0e0e0';
@@ -28,9 +28,12 @@ const ChunkGrid = ({ chunks }) => {
   };
   
   return (
-    <div className="chunk-grid">
+    <div className={`chunk-grid${paused ? ' chunk-grid-paused' : ''}`}>
       <div className="chunk-grid-header">
-        <h3>Chunk Status ({chunks.filter(s => s === 'success').length}/{chunks.length})</h3>
+        <h3>
+          Chunk Status ({chunks.filter(s => s === 'success').length}/{chunks.length})
+          {paused && <span className="chunk-grid-badge">Paused</span>}
+        </h3>
       </div>
       <div className="chunk-grid-container">
         {chunks.map((status, index) => (
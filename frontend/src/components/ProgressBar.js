@@ -1,13 +1,16 @@
 /**
  * Progress Bar Component
  * Shows upload progress with metrics
+ * label names the phase when it is not the upload itself (e.g. "Hashing…")
+ * metrics.uploadedSize includes metrics.resumedSize, bytes the server already
+ * had when a resumed upload started
  */
 
 import React from 'react';
 import './ProgressBar.css';
 
-const ProgressBar = ({ progress, metrics }) => {
-  const { speed, eta, uploadedSize, totalSize } = metrics;
+const ProgressBar = ({ progress, metrics, paused = false, label = null }) => {
+  const { speed, eta, uploadedSize, resumedSize, totalSize, concurrency } = metrics;
   
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -33,9 +36,10 @@ const ProgressBar = ({ progress, metrics }) => {
   };
   
   return (
-    <div className="progress-container">
+    <div className={`progress-container${paused ? ' progress-paused' : ''}`}>
       <div className="progress-header">
         <span className="progress-percentage">{progress}%</span>
+        {label && <span className="progress-label">{label}</span>}
         <span className="progress-size">{formatBytes(uploadedSize)} / {formatBytes(totalSize)}</span>
       </div>
       
@@ -44,19 +48,40 @@ const ProgressBar = ({ progress, metrics }) => {
           className="progress-bar-fill"
           style={{ width: `${progress}%` }}
         >
-          <div className="progress-bar-shine"></div>
+          {!paused && <div className="progress-bar-shine"></div>}
         </div>
       </div>
       
       <div className="progress-metrics">
-        <div className="metric">
-          <span className="metric-label">Speed:</span>
-          <span className="metric-value">{speed.toFixed(2)} MB/s</span>
-        </div>
-        <div className="metric">
-          <span className="metric-label">ETA:</span>
-          <span className="metric-value">{formatTime(eta)}</span>
-        </div>
+        {paused ? (
+          <div className="metric">
+            <span className="metric-label">Status:</span>
+            <span className="metric-value">Paused</span>
+          </div>
+        ) : (
+          <>
+            <div className="metric">
+              <span className="metric-label">Speed:</span>
+              <span className="metric-value">{speed.toFixed(2)} MB/s</span>
+            </div>
+            <div className="metric">
+              <span className="metric-label">ETA:</span>
+              <span className="metric-value">{formatTime(eta)}</span>
+            </div>
+            {resumedSize > 0 && (
+              <div className="metric">
+                <span className="metric-label">Resumed:</span>
+                <span className="metric-value">{formatBytes(resumedSize)}</span>
+              </div>
+            )}
+            {concurrency && (
+              <div className="metric">
+                <span className="metric-label">Parallel:</span>
+                <span className="metric-value">{concurrency}</span>
+              </div>
+            )}
+          </>
+        )}
       </div>
     </div>
   );
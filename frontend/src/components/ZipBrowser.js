@@ -0,0 +1,380 @@
+/**
+ * ZIP Browser Component
+ * Collapsible, searchable and sortable view of a completed archive.
+ * Directories are loaded one level (and one page) at a time and only the rows in view
+ * are rendered, so archives with very many entries stay responsive.
+ */
+
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { getDownloadUrl, getEntryUrl, getZipContents } from '../services/uploadService';
+import './ZipBrowser.css';
+
+const ROW_HEIGHT = 32;
+const VIEWPORT_HEIGHT = 400;
+const OVERSCAN = 10;
+const SEARCH_PAGE_SIZE = 1000;
+const LEVEL_PAGE_SIZE = 1000;
+const SEARCH_DELAY = 300;
+
+// Marks a directory whose children are being fetched
+const LOADING = 'loading';
+
+const COLUMNS = [
+  { key: 'name', label: 'Name', sortable: true },
+  { key: 'size', label: 'Size', sortable: true },
+  { key: 'compressed', label: 'Compressed', sortable: true },
+  { key: 'ratio', label: 'Ratio', sortable: false },
+  { key: 'modified', label: 'Modified', sortable: true }
+];
+
+const formatBytes = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Compressed size as a share of the original, like most archivers show it
+const formatRatio = (size, compressed) => {
+  if (!size) return '—';
+  return `${Math.round(compressed / size * 100)}%`;
+};
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString();
+};
+
+const ZipBrowser = ({ uploadId }) => {
+  const [sort, setSort] = useState({ key: 'name', order: 'asc' });
+  const [directories, setDirectories] = useState({});
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [fileCount, setFileCount] = useState(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  
+  const viewportRef = useRef(null);
+  const controllerRef = useRef(null);
+  const searchControllerRef = useRef(null);
+  
+  const handleError = useCallback((err) => {
+    if (err.name !== 'AbortError') {
+      setError(err.message);
+    }
+  }, []);
+  
+  const scrollToTop = useCallback(() => {
+    setScrollTop(0);
+    if (viewportRef.current) {
+      viewportRef.current.scrollTop = 0;
+    }
+  }, []);
+  
+  // A page of one level of the tree; "" is the archive root. Loaded children
+  // are kept as { children, childCount, loadingMore }.
+  const loadDirectory = useCallback((dirPath, offset = 0) => {
+    const { signal } = controllerRef.current;
+    
+    setDirectories(prev => ({
+      ...prev,
+      [dirPath]: offset === 0 ? LOADING : { ...prev[dirPath], loadingMore: true }
+    }));
+    
+    getZipContents(uploadId, {
+      tree: true,
+      depth: 1,
+      prefix: dirPath,
+      sort: sort.key,
+      order: sort.order,
+      offset,
+      limit: LEVEL_PAGE_SIZE
+    }, signal)
+      .then((result) => {
+        setDirectories(prev => ({
+          ...prev,
+          [dirPath]: {
+            children: offset === 0 ? result.tree.children : [...prev[dirPath].children, ...result.tree.children],
+            childCount: result.childCount,
+            loadingMore: false
+          }
+        }));
+        if (dirPath === '') {
+          setFileCount(result.fileCount);
+        }
+      })
+      .catch((err) => {
+        if (offset > 0) {
+          setDirectories(prev => ({ ...prev, [dirPath]: { ...prev[dirPath], loadingMore: false } }));
+        }
+        handleError(err);
+      });
+  }, [uploadId, sort, handleError]);
+  
+  // Any change of archive or sort order starts the tree over
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    
+    setDirectories({});
+    setExpanded(new Set());
+    setError(null);
+    scrollToTop();
+    loadDirectory('');
+    
+    return () => controller.abort();
+  }, [loadDirectory, scrollToTop]);
+  
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search]);
+  
+  const loadSearchPage = useCallback((offset, signal) => {
+    return getZipContents(uploadId, {
+      glob: `*${query}*`,
+      sort: sort.key,
+      order: sort.order,
+      offset,
+      limit: SEARCH_PAGE_SIZE
+    }, signal);
+  }, [uploadId, query, sort]);
+  
+  // Search lists matches flat, a page at a time, from the server-side glob filter
+  useEffect(() => {
+    setResults(null);
+    scrollToTop();
+    
+    if (!query) {
+      return;
+    }
+    
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+    
+    loadSearchPage(0, controller.signal)
+      .then((result) => setResults({ total: result.total, entries: result.contents }))
+      .catch(handleError);
+    
+    return () => controller.abort();
+  }, [query, loadSearchPage, handleError, scrollToTop]);
+  
+  const loadMoreResults = () => {
+    if (loadingMore || !results || results.entries.length >= results.total) {
+      return;
+    }
+    
+    setLoadingMore(true);
+    
+    loadSearchPage(results.entries.length, searchControllerRef.current.signal)
+      .then((result) => {
+        setResults(prev => ({ total: result.total, entries: [...prev.entries, ...result.contents] }));
+      })
+      .catch(handleError)
+      .finally(() => setLoadingMore(false));
+  };
+  
+  const toggleDirectory = (node) => {
+    const next = new Set(expanded);
+    
+    if (next.has(node.path)) {
+      next.delete(node.path);
+    } else {
+      next.add(node.path);
+      if (directories[node.path] === undefined) {
+        loadDirectory(node.path);
+      }
+    }
+    
+    setExpanded(next);
+  };
+  
+  const changeSort = (key) => {
+    setSort(prev => ({
+      key,
+      order: prev.key === key && prev.order === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+  
+  // Flatten what is visible into rows; only a window of them is rendered
+  const rows = useMemo(() => {
+    if (query) {
+      if (!results) {
+        return [];
+      }
+      return results.entries.map(entry => ({
+        key: entry.name,
+        level: 0,
+        node: { ...entry, path: entry.name }
+      }));
+    }
+    
+    const list = [];
+    
+    const addLevel = (dirPath, level) => {
+      const directory = directories[dirPath];
+      
+      if (directory === LOADING) {
+        list.push({ key: `${dirPath}\u0000loading`, level, loading: true });
+        return;
+      }
+      
+      if (!directory) {
+        return;
+      }
+      
+      for (const node of directory.children) {
+        list.push({ key: node.path, level, node });
+        if (node.isDirectory && expanded.has(node.path)) {
+          addLevel(node.path, level + 1);
+        }
+      }
+      
+      if (directory.children.length < directory.childCount) {
+        list.push({ key: `${dirPath}\u0000more`, level, more: { dirPath, ...directory } });
+      }
+    };
+    
+    addLevel('', 0);
+    return list;
+  }, [query, results, directories, expanded]);
+  
+  const handleScroll = (event) => {
+    const { scrollTop: top, scrollHeight, clientHeight } = event.currentTarget;
+    setScrollTop(top);
+    
+    if (query && scrollHeight - top - clientHeight < ROW_HEIGHT * OVERSCAN) {
+      loadMoreResults();
+    }
+  };
+  
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  
+  const renderRow = (row, index) => {
+    const style = { top: index * ROW_HEIGHT, height: ROW_HEIGHT };
+    
+    if (row.loading) {
+      return (
+        <div key={row.key} className="zip-row zip-row-loading" style={style}>
+          <div className="zip-cell-name" style={{ paddingLeft: row.level * 16 + 24 }}>Loading...</div>
+        </div>
+      );
+    }
+    
+    if (row.more) {
+      const { dirPath, children, childCount, loadingMore } = row.more;
+      
+      return (
+        <div key={row.key} className="zip-row zip-row-loading" style={style}>
+          <div className="zip-cell-name" style={{ paddingLeft: row.level * 16 + 24 }}>
+            <button
+              type="button"
+              className="zip-toggle"
+              onClick={() => loadDirectory(dirPath, children.length)}
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : `Show more (${children.length} of ${childCount})`}
+            </button>
+          </div>
+        </div>
+      );
+    }
+    
+    const { node, level } = row;
+    const isOpen = node.isDirectory && expanded.has(node.path);
+    
+    return (
+      <div key={row.key} className="zip-row" style={style} title={node.path}>
+        <div className="zip-cell-name" style={{ paddingLeft: level * 16 + (node.isDirectory || query ? 0 : 20) }}>
+          {node.isDirectory && !query ? (
+            <button
+              type="button"
+              className="zip-toggle"
+              onClick={() => toggleDirectory(node)}
+              aria-expanded={isOpen}
+            >
+              <span className="zip-toggle-icon">{isOpen ? '▾' : '▸'}</span>
+              📁 {node.name}
+              <span className="zip-file-count">{node.fileCount} files</span>
+            </button>
+          ) : node.isDirectory ? (
+            <span className="zip-entry-label">📁 {node.name}</span>
+          ) : (
+            <a className="zip-entry-label" href={getEntryUrl(uploadId, node.path)}>
+              📄 {query ? node.path : node.name}
+            </a>
+          )}
+        </div>
+        <div className="zip-cell">{formatBytes(node.size)}</div>
+        <div className="zip-cell">{formatBytes(node.compressed)}</div>
+        <div className="zip-cell">{formatRatio(node.size, node.compressed)}</div>
+        <div className="zip-cell">{formatDate(node.lastModified)}</div>
+      </div>
+    );
+  };
+  
+  return (
+    <div className="zip-browser">
+      <div className="zip-browser-header">
+        <h3>ZIP Contents{fileCount !== null && ` (${fileCount} entries)`}</h3>
+        <a className="button button-primary button-small" href={getDownloadUrl(uploadId)}>
+          Download ZIP
+        </a>
+      </div>
+      
+      <input
+        type="search"
+        className="zip-search"
+        placeholder="Search file names (* and ? wildcards)"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+      
+      {query && results && (
+        <div className="zip-browser-message">
+          {results.total} match{results.total === 1 ? '' : 'es'}
+          {results.entries.length < results.total && ` (showing ${results.entries.length})`}
+        </div>
+      )}
+      
+      {error && <div className="zip-browser-message zip-browser-error">{error}</div>}
+      
+      <div className="zip-columns">
+        {COLUMNS.map(column => (
+          <div key={column.key} className={column.key === 'name' ? 'zip-cell-name' : 'zip-cell'}>
+            {column.sortable ? (
+              <button type="button" className="zip-sort" onClick={() => changeSort(column.key)}>
+                {column.label}
+                {sort.key === column.key && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+              </button>
+            ) : column.label}
+          </div>
+        ))}
+      </div>
+      
+      <div
+        className="zip-browser-viewport"
+        ref={viewportRef}
+        onScroll={handleScroll}
+        style={{ height: VIEWPORT_HEIGHT }}
+      >
+        {query && !results && !error && (
+          <div className="zip-browser-message">Loading...</div>
+        )}
+        {query && results && results.total === 0 && (
+          <div className="zip-browser-message">No matching entries</div>
+        )}
+        <div className="zip-browser-rows" style={{ height: rows.length * ROW_HEIGHT }}>
+          {rows.slice(first, last).map((row, i) => renderRow(row, first + i))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ZipBrowser;
@@ -0,0 +1,40 @@
+/**
+ * File Hash Worker
+ * Computes the whole-file SHA-256 off the main thread, so hashing a
+ * multi-GB file does not freeze the UI. Started by calculateFileHash.
+ *
+ * In:  { file }
+ * Out: { type: 'progress', bytes } | { type: 'done', hash } | { type: 'error', message }
+ */
+
+import { createSHA256 } from 'hash-wasm';
+
+const SLICE_SIZE = 4 * 1024 * 1024; // 4MB slices
+const PROGRESS_INTERVAL = 100; // ms between progress messages
+
+globalThis.onmessage = async (event) => {
+  const { file } = event.data;
+  
+  try {
+    const hasher = await createSHA256();
+    hasher.init();
+    
+    let lastReport = 0;
+    
+    for (let offset = 0; offset < file.size; offset += SLICE_SIZE) {
+      const buffer = await file.slice(offset, offset + SLICE_SIZE).arrayBuffer();
+      hasher.update(new Uint8Array(buffer));
+      
+      const now = Date.now();
+      if (now - lastReport >= PROGRESS_INTERVAL) {
+        lastReport = now;
+        globalThis.postMessage({ type: 'progress', bytes: Math.min(offset + SLICE_SIZE, file.size) });
+      }
+    }
+    
+    globalThis.postMessage({ type: 'done', hash: hasher.digest('hex') });
+    
+  } catch (error) {
+    globalThis.postMessage({ type: 'error', message: error.message });
+  }
+};
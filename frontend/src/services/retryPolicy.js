@@ -0,0 +1,79 @@
+/**
+ * Retry policy for chunk requests
+ * - Classifies a failed attempt: worth retrying, or fatal for the upload
+ * - Picks the wait before the next attempt: the server's Retry-After when it
+ *   sent one, otherwise exponential backoff with full jitter
+ */
+
+// Server error codes that sending the same chunk again cannot fix
+const FATAL_ERROR_CODES = [
+  'MISSING_FIELDS',
+  'UPLOAD_NOT_FOUND',
+  'UPLOAD_NOT_ACCEPTING',
+  'INVALID_CHUNK_INDEX',
+  'INVALID_CHUNK_LENGTH',
+  'CHUNK_HASH_MISMATCH'
+];
+
+// Statuses worth retrying when the response carries no code
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 30000;
+
+// A Retry-After longer than this is not waited out in full
+const MAX_RETRY_AFTER = 5 * 60 * 1000;
+
+/**
+ * Retry-After header value in milliseconds (seconds or an HTTP date)
+ * @returns {number|null} - null if absent or unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether another attempt at the same request can succeed
+ * Network errors (no status) and timeouts are retryable; so are server
+ * errors and throttling. Anything the server rejected on its merits is not.
+ * @param {Error} error - With status, code and timeout set when known
+ */
+function isRetryable(error) {
+  if (error.timeout || error.status === undefined) {
+    return true;
+  }
+  
+  if (error.code) {
+    return !FATAL_ERROR_CODES.includes(error.code);
+  }
+  
+  return RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Milliseconds to wait before retry number attempt (0-based)
+ * @param {Error} error - retryAfter (ms) is used as-is when present
+ */
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, MAX_RETRY_AFTER);
+  }
+  
+  // Full jitter keeps chunks that failed together from retrying together
+  return Math.random() * Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** attempt);
+}
+
+export {
+  parseRetryAfter,
+  isRetryable,
+  getRetryDelay
+};
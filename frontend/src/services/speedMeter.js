@@ -0,0 +1,63 @@
+/**
+ * Speed meter for progress displays
+ * Turns a growing byte count into a smoothed rate: an exponentially weighted
+ * moving average of the rate between samples, so one fast or slow chunk does
+ * not make the speed (and the ETA derived from it) jump around.
+ */
+
+// Larger means smoother but slower to follow real changes
+const TIME_CONSTANT = 3000;
+
+// Samples closer together than this are merged into the next one
+const MIN_SAMPLE_INTERVAL = 250;
+
+/**
+ * @param {Object} options - { timeConstant (ms), minInterval (ms) }
+ */
+function createSpeedMeter({
+  timeConstant = TIME_CONSTANT,
+  minInterval = MIN_SAMPLE_INTERVAL
+} = {}) {
+  let rate = null;
+  let last = null;
+  
+  return {
+    /**
+     * Record the byte count so far
+     * @param {number} bytes - Total bytes transferred, never decreasing
+     * @returns {number} - Smoothed rate in bytes per second (0 until measurable)
+     */
+    update(bytes, now = Date.now()) {
+      if (!last) {
+        last = { time: now, bytes };
+        return rate || 0;
+      }
+      
+      const elapsed = now - last.time;
+      if (elapsed < minInterval) {
+        return rate || 0;
+      }
+      
+      const sample = ((bytes - last.bytes) / elapsed) * 1000;
+      last = { time: now, bytes };
+      
+      // Weight by elapsed time, so irregular sampling does not skew the average
+      const weight = 1 - Math.exp(-elapsed / timeConstant);
+      rate = rate === null ? sample : rate + weight * (sample - rate);
+      
+      return rate;
+    },
+    
+    /**
+     * Start measuring afresh from the next update, keeping the current rate
+     * (after a pause, so the idle time is not averaged in)
+     */
+    restart() {
+      last = null;
+    }
+  };
+}
+
+export {
+  createSpeedMeter
+};
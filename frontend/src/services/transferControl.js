@@ -0,0 +1,215 @@
+/**
+ * Transfer control for the upload orchestrator
+ * - Concurrency controller: how many chunks to keep in flight, adapted to
+ *   measured throughput and errors
+ * - Bandwidth limiter: keeps the average upload rate under a user-set cap
+ *
+ * Both are plain state machines without timers; uploadService does the waiting.
+ */
+
+const INITIAL_CONCURRENCY = 2;
+const MIN_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 8;
+
+// A step up must improve throughput by this much to count
+const MIN_THROUGHPUT_GAIN = 0.1;
+
+// Share of failed attempts in a window that costs one slot
+const MAX_ERROR_RATE = 0.25;
+
+// Windows at a settled limit before trying one more slot again
+const REPROBE_AFTER_WINDOWS = 5;
+
+// Congestion reported by requests that were already in flight is the same event
+const BACKOFF_COOLDOWN = 2000;
+
+/**
+ * Failures that mean "send less": timeouts and server throttling
+ */
+function isCongestionError(error) {
+  return Boolean(error.timeout) || error.status === 429 || error.status === 503;
+}
+
+/**
+ * Adaptive chunk concurrency
+ * Starts small and adds a slot per measurement window while throughput keeps
+ * improving, then settles on the best limit and re-probes now and then.
+ * Timeouts and 429/503 halve the limit; a high error rate takes one slot away.
+ * @param {Object} options - { initial, min, max, onChange(limit) }
+ */
+function createConcurrencyController({
+  initial = INITIAL_CONCURRENCY,
+  min = MIN_CONCURRENCY,
+  max = MAX_CONCURRENCY,
+  onChange = () => {}
+} = {}) {
+  let limit = initial;
+  let probing = true;
+  let best = { throughput: 0, limit };
+  let settledWindows = 0;
+  let lastBackoff = 0;
+  let sample = null;
+  
+  const startSample = () => {
+    sample = { start: Date.now(), bytes: 0, successes: 0, failures: 0 };
+  };
+  
+  const setLimit = (value) => {
+    const next = Math.max(min, Math.min(max, value));
+    if (next !== limit) {
+      limit = next;
+      onChange(limit);
+    }
+  };
+  
+  // A sample spans a couple of chunks per slot, so slow links still get a fair measurement
+  const evaluate = () => {
+    const elapsed = (Date.now() - sample.start) / 1000;
+    const throughput = elapsed > 0 ? sample.bytes / elapsed : 0;
+    const errorRate = sample.failures / (sample.successes + sample.failures);
+    
+    if (errorRate > MAX_ERROR_RATE) {
+      probing = false;
+      settledWindows = 0;
+      best = { throughput: 0, limit: limit - 1 };
+      setLimit(limit - 1);
+    } else if (probing) {
+      if (throughput > best.throughput * (1 + MIN_THROUGHPUT_GAIN) && limit < max) {
+        best = { throughput, limit };
+        setLimit(limit + 1);
+      } else {
+        // No better than one slot fewer: go back to the best limit seen
+        if (throughput > best.throughput) {
+          best = { throughput, limit };
+        }
+        probing = false;
+        settledWindows = 0;
+        setLimit(best.limit);
+      }
+    } else if (++settledWindows >= REPROBE_AFTER_WINDOWS && limit < max) {
+      probing = true;
+      best = { throughput, limit };
+      setLimit(limit + 1);
+    }
+    
+    startSample();
+  };
+  
+  const maybeEvaluate = () => {
+    if (sample.successes + sample.failures >= limit * 2) {
+      evaluate();
+    }
+  };
+  
+  startSample();
+  
+  // Report the starting limit too, for displays that reset when an upload starts
+  onChange(limit);
+  
+  return {
+    getLimit() {
+      return limit;
+    },
+    
+    /**
+     * A chunk was accepted by the server
+     * @param {number} bytes - Chunk size
+     */
+    recordSuccess(bytes) {
+      sample.bytes += bytes;
+      sample.successes++;
+      maybeEvaluate();
+    },
+    
+    /**
+     * An attempt failed (it may still be retried)
+     * @param {Error} error - With status (HTTP) or timeout set when known
+     */
+    recordFailure(error) {
+      if (isCongestionError(error)) {
+        const now = Date.now();
+        if (now - lastBackoff >= BACKOFF_COOLDOWN) {
+          lastBackoff = now;
+          probing = false;
+          settledWindows = 0;
+          setLimit(Math.ceil(limit / 2));
+          best = { throughput: 0, limit };
+          startSample();
+        }
+        return;
+      }
+      
+      sample.failures++;
+      maybeEvaluate();
+    }
+  };
+}
+
+// A capped chunk goes out in parts of about this much sending time, so no
+// burst is bigger than one part
+const PART_DURATION = 250;
+const MIN_PART_SIZE = 64 * 1024;
+
+/**
+ * Upload bandwidth cap
+ * Capped chunks are sent in parts (see getPartSize) and each part waits
+ * until the one before it would have gone out at the cap, so the bytes
+ * started by any time stay within the cap plus one part.
+ * @param {number|null} bytesPerSecond - Cap, or null for unlimited
+ */
+function createBandwidthLimiter(bytesPerSecond = null) {
+  let rate = bytesPerSecond;
+  let last = null;
+  
+  return {
+    /**
+     * Change the cap; applies to parts that have not started yet
+     * @param {number|null} bytesPerSecond - Cap, or null for unlimited
+     */
+    setRate(bytesPerSecond) {
+      rate = bytesPerSecond;
+    },
+    
+    getRate() {
+      return rate;
+    },
+    
+    /**
+     * Bytes to send in one request: the whole chunk when unlimited
+     * @param {number} chunkSize - Size of the chunk being sent
+     */
+    getPartSize(chunkSize) {
+      if (!rate) {
+        return chunkSize;
+      }
+      
+      const partSize = Math.max(MIN_PART_SIZE, Math.round(rate * PART_DURATION / 1000));
+      return Math.min(chunkSize, partSize);
+    },
+    
+    /**
+     * Claim the bandwidth for a send of this many bytes
+     * @returns {number} - 0 if the send may start now (and it is recorded),
+     *   otherwise milliseconds until it should ask again
+     */
+    tryTake(bytes) {
+      const now = Date.now();
+      
+      if (rate && last) {
+        const nextFree = last.start + (last.bytes / rate) * 1000;
+        if (now < nextFree) {
+          return nextFree - now;
+        }
+      }
+      
+      last = { start: now, bytes };
+      return 0;
+    }
+  };
+}
+
+export {
+  isCongestionError,
+  createConcurrencyController,
+  createBandwidthLimiter
+};
@@ -0,0 +1,102 @@
+import { createBandwidthLimiter } from './transferControl';
+
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const RATE = 512 * 1024;
+
+/**
+ * Run senders that each push chunks through the limiter part by part, the
+ * way uploadChunk does, on a simulated clock; every part goes out the moment
+ * the limiter lets it (an infinitely fast link)
+ * @returns {Array<Object>} - { time, bytes } for every part sent
+ */
+function simulate(limiter, { senders, chunks, chunkSize = CHUNK_SIZE }) {
+  let now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  
+  const sent = [];
+  const queue = Array.from({ length: chunks }, () => chunkSize);
+  const active = Array.from({ length: senders }, () => ({ readyAt: 0, remaining: 0 }));
+  
+  for (;;) {
+    const waiting = active.filter(sender => sender.remaining > 0 || queue.length > 0);
+    if (waiting.length === 0) {
+      return sent;
+    }
+    
+    const sender = waiting.reduce((next, candidate) => (candidate.readyAt < next.readyAt ? candidate : next));
+    now = Math.max(now, sender.readyAt);
+    
+    if (sender.remaining === 0) {
+      sender.remaining = queue.shift();
+    }
+    
+    const bytes = Math.min(sender.remaining, limiter.getPartSize(chunkSize));
+    const delay = limiter.tryTake(bytes);
+    
+    if (delay > 0) {
+      sender.readyAt = now + delay;
+    } else {
+      sent.push({ time: now, bytes });
+      sender.remaining -= bytes;
+    }
+  }
+}
+
+/**
+ * Most bytes started within any window of this many milliseconds
+ */
+function peakBytes(sent, windowMs) {
+  return Math.max(...sent.map(({ time }) => sent
+    .filter(part => part.time >= time && part.time < time + windowMs)
+    .reduce((sum, part) => sum + part.bytes, 0)));
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('getPartSize sends whole chunks when unlimited and small parts under a cap', () => {
+  expect(createBandwidthLimiter(null).getPartSize(CHUNK_SIZE)).toBe(CHUNK_SIZE);
+  expect(createBandwidthLimiter(RATE).getPartSize(CHUNK_SIZE)).toBe(RATE / 4);
+  expect(createBandwidthLimiter(1024).getPartSize(CHUNK_SIZE)).toBe(64 * 1024);
+  expect(createBandwidthLimiter(1024 * 1024 * 1024).getPartSize(CHUNK_SIZE)).toBe(CHUNK_SIZE);
+});
+
+test('sustained throughput across parallel chunks stays at or below the cap', () => {
+  const limiter = createBandwidthLimiter(RATE);
+  const sent = simulate(limiter, { senders: 4, chunks: 6 });
+  
+  const totalBytes = sent.reduce((sum, part) => sum + part.bytes, 0);
+  const partSize = limiter.getPartSize(CHUNK_SIZE);
+  const last = sent[sent.length - 1];
+  
+  expect(totalBytes).toBe(6 * CHUNK_SIZE);
+  
+  // Each part is only let out once the ones before it are paid for at the cap
+  expect(totalBytes - last.bytes).toBeLessThanOrEqual(RATE * last.time / 1000);
+  
+  // No second carries more than the cap plus one part, far below a whole chunk
+  expect(peakBytes(sent, 1000)).toBeLessThanOrEqual(RATE + partSize);
+  expect(peakBytes(sent, 10000)).toBeLessThanOrEqual(10 * RATE + partSize);
+});
+
+test('a lower cap applies from the next part', () => {
+  const limiter = createBandwidthLimiter(RATE);
+  let now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  
+  expect(limiter.tryTake(RATE / 4)).toBe(0);
+  limiter.setRate(RATE / 2);
+  
+  expect(limiter.tryTake(RATE / 4)).toBe(500);
+  now = 500;
+  expect(limiter.tryTake(RATE / 4)).toBe(0);
+});
+
+test('without a cap every part may start at once', () => {
+  const limiter = createBandwidthLimiter(null);
+  const sent = simulate(limiter, { senders: 4, chunks: 8 });
+  
+  expect(sent).toHaveLength(8);
+  expect(sent.every(part => part.time === 0)).toBe(true);
+});
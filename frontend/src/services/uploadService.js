@@ -1,78 +1,258 @@
+import { saveUpload, removeUpload, matchesFile } from './uploadStore';
+import { createConcurrencyController, createBandwidthLimiter } from './transferControl';
+import { parseRetryAfter, isRetryable, getRetryDelay } from './retryPolicy';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-const CHUNK_SIZE = 5 * 1024 * 1024;
-const MAX_CONCURRENT_UPLOADS = 3;
-const MAX_RETRIES = 3;
-const RETRY_DELAYS = [500, 1000, 2000];
+const MAX_RETRIES = 5;
+const FINALIZATION_POLL_INTERVAL = 1000;
 
-async function calculateFileHash(file) {
-  const BUFFER_SIZE = 64 * 1024; // 64KB chunks
-  const crypto = window.crypto.subtle;
-  
+// A chunk request that takes longer than this is aborted and retried
+const CHUNK_TIMEOUT = 120000;
+
+// Rounds of re-queueing chunks that ran out of retries, and the pause before each
+const MAX_SWEEPS = 2;
+const SWEEP_DELAY = 5000;
+
+// How often a chunk held back by the bandwidth cap checks again (the cap may change)
+const BANDWIDTH_RECHECK_INTERVAL = 250;
+
+// Byte progress is reported at most this often (upload progress events come much faster)
+const BYTE_PROGRESS_INTERVAL = 200;
+
+const FAILURE_MESSAGES = {
+  HASH_MISMATCH: 'File hash mismatch: the assembled file differs from the file you selected',
+  SIZE_MISMATCH: 'File size mismatch after assembly',
+  INVALID_ZIP: 'The uploaded file is not a valid ZIP archive',
+  CORRUPT_ZIP_ENTRY: 'One or more ZIP entries are corrupted (CRC-32 or size check failed)',
+  ZIP_POLICY_VIOLATION: 'The ZIP file was rejected by the server\'s safety policy',
+  FILE_MISSING: 'The uploaded file is missing on the server',
+  ABANDONED: 'The upload was abandoned and cleaned up'
+};
+
+/**
+ * Error thrown once the caller's AbortSignal fires
+ */
+function createAbortError() {
+  return new DOMException('Upload cancelled', 'AbortError');
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * setTimeout as a promise that rejects early when the signal aborts
+ */
+function sleep(ms, signal) {
   return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    let offset = 0;
-    let hashPromise = crypto.digest('SHA-256', new ArrayBuffer(0));
-    
-    const readNextChunk = () => {
-      if (offset >= file.size) {
-        // Finalize hash
-        hashPromise.then(hashBuffer => {
-          const hashArray = Array.from(new Uint8Array(hashBuffer));
-          const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-          resolve(hashHex);
-        }).catch(reject);
-        return;
+    throwIfAborted(signal);
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Calculate SHA-256 of the whole file incrementally, in a Web Worker
+ * The worker reads the file in slices, so multi-GB files never sit in
+ * memory at once and the page stays responsive. Aborting the signal
+ * terminates the worker.
+ * @param {Function} onProgress - (hashedBytes, totalBytes), a few times a second
+ */
+function calculateFileHash(file, signal, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    
+    const worker = new Worker(new URL('./fileHashWorker.js', import.meta.url));
+    
+    const stop = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    
+    const onAbort = () => {
+      stop();
+      reject(createAbortError());
+    };
+    
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data.bytes, file.size);
+      } else if (data.type === 'done') {
+        stop();
+        onProgress(file.size, file.size);
+        resolve(data.hash);
+      } else {
+        stop();
+        reject(new Error(`Could not hash the file: ${data.message}`));
       }
-      
-      const slice = file.slice(offset, offset + BUFFER_SIZE);
-      reader.readAsArrayBuffer(slice);
     };
     
-    reader.onload = async (e) => {
-      const chunk = e.target.result;
-      offset += chunk.byteLength;
-      
-      // Update hash incrementally
-      hashPromise = hashPromise.then(async () => {
-        return await crypto.digest('SHA-256', chunk);
-      });
-      
-      readNextChunk();
+    worker.onerror = (event) => {
+      stop();
+      reject(new Error(`Could not hash the file: ${event.message || 'worker failed'}`));
     };
     
-    reader.onerror = () => reject(reader.error);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
     
-    readNextChunk();
+    worker.postMessage({ file });
   });
 }
 
 /**
  * Initialize upload session with backend
+ * The server decides chunkSize/totalChunks; the client slices by them.
+ * deepVerify left undefined uses the server's DEEP_ZIP_VERIFY default.
+ * If the server already stores the file, it first asks for the hash of a
+ * byte range it picked (dedupChallenge) before reusing it.
+ */
+async function initializeUpload(file, fileHash, deepVerify, signal) {
+  const requestInit = async (dedupProof) => {
+    const response = await fetch(`${API_BASE_URL}/upload/init`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        filename: file.name,
+        totalSize: file.size,
+        fileHash,
+        deepVerify,
+        dedupProof
+      })
+    });
+    
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Upload initialization failed');
+    }
+    
+    return await response.json();
+  };
+  
+  const session = await requestInit();
+  
+  if (!session.dedupChallenge) {
+    return session;
+  }
+  
+  const { token, offset, length } = session.dedupChallenge;
+  const hash = await calculateChunkHash(file.slice(offset, offset + length));
+  
+  return requestInit({ token, hash });
+}
+
+/**
+ * Fetch upload status (GET /upload/:id/status)
+ * Resolves to null if the server no longer knows the upload
  */
-async function initializeUpload(file, fileHash) {
-  const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+async function getUploadStatus(uploadId, signal) {
+  const response = await fetch(`${API_BASE_URL}/upload/${uploadId}/status`, { signal });
   
-  const response = await fetch(`${API_BASE_URL}/upload/init`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      filename: file.name,
-      totalSize: file.size,
-      totalChunks,
-      fileHash
-    })
-  });
+  if (response.status === 404) {
+    return null;
+  }
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Upload initialization failed');
+    throw new Error(`Status check failed: HTTP ${response.status}`);
   }
   
   return await response.json();
 }
 
+/**
+ * Fetch the run-length chunk manifest (GET /upload/:id/chunks?format=runs)
+ * Resolves to null if the server no longer knows the upload
+ */
+async function getChunkManifest(uploadId, signal) {
+  const response = await fetch(`${API_BASE_URL}/upload/${uploadId}/chunks?format=runs`, { signal });
+  
+  if (response.status === 404) {
+    return null;
+  }
+  
+  if (!response.ok) {
+    throw new Error(`Chunk manifest fetch failed: HTTP ${response.status}`);
+  }
+  
+  return await response.json();
+}
+
+/**
+ * Indices of chunks the server already has, expanded from manifest runs
+ */
+function getUploadedChunks(manifest) {
+  const indices = [];
+  
+  manifest.runs
+    .filter(run => run.status === 'SUCCESS')
+    .forEach(({ start, count }) => {
+      for (let i = start; i < start + count; i++) {
+        indices.push(i);
+      }
+    });
+  
+  return indices;
+}
+
+/**
+ * Rebuild the init response for an upload interrupted by a reload
+ * The re-selected file must hash to the stored fingerprint; the chunk
+ * manifest then says exactly which chunks are still missing.
+ */
+async function resumeStoredUpload(record, fileHash, signal) {
+  if (fileHash !== record.fileHash) {
+    throw new Error('The selected file does not match the interrupted upload');
+  }
+  
+  const manifest = await getChunkManifest(record.uploadId, signal);
+  
+  if (!manifest || !['UPLOADING', 'PROCESSING', 'COMPLETED'].includes(manifest.status)) {
+    await forgetUpload(record.uploadId);
+    throw new Error('The interrupted upload is no longer available on the server');
+  }
+  
+  return {
+    uploadId: record.uploadId,
+    chunkSize: manifest.chunkSize,
+    totalChunks: manifest.totalChunks,
+    uploadedChunks: getUploadedChunks(manifest),
+    resumed: true,
+    deduplicated: false
+  };
+}
+
+/**
+ * Persisting is best effort: an upload still works without IndexedDB
+ */
+async function rememberUpload(record) {
+  try {
+    await saveUpload(record);
+  } catch (error) {
+    console.warn('Could not persist upload for resume:', error.message);
+  }
+}
+
+async function forgetUpload(uploadId) {
+  try {
+    await removeUpload(uploadId);
+  } catch (error) {
+    console.warn('Could not remove persisted upload:', error.message);
+  }
+}
+
 /**
  * Calculate SHA-256 hash of a chunk
  */
@@ -83,75 +263,493 @@ async function calculateChunkHash(chunkBlob) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Wait until the bandwidth cap lets this many bytes go out
+ */
+async function waitForBandwidth(limiter, bytes, signal) {
+  let delay;
+  while ((delay = limiter.tryTake(bytes)) > 0) {
+    await sleep(Math.min(delay, BANDWIDTH_RECHECK_INTERVAL), signal);
+  }
+}
+
+/**
+ * PUT with XMLHttpRequest, which (unlike fetch) reports upload progress
+ * Resolves to a fetch-like response ({ ok, status, headers.get, json }).
+ * A timeout rejects with error.timeout set, a network failure with a
+ * TypeError (as fetch would), and the caller's abort with an AbortError.
+ * @param {Function} onUploadProgress - (bytesSent) as the body goes out
+ */
+function putWithProgress(url, headers, body, signal, timeout, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    
+    const xhr = new XMLHttpRequest();
+    
+    const onAbort = () => xhr.abort();
+    const settle = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    
+    xhr.open('PUT', url);
+    xhr.timeout = timeout;
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    
+    xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+    
+    xhr.onload = () => {
+      settle();
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        headers: { get: (name) => xhr.getResponseHeader(name) },
+        json: async () => JSON.parse(xhr.responseText)
+      });
+    };
+    
+    xhr.onerror = () => {
+      settle();
+      reject(new TypeError('Network request failed'));
+    };
+    
+    xhr.ontimeout = () => {
+      settle();
+      const error = new Error(`Request timed out after ${timeout}ms`);
+      error.timeout = true;
+      reject(error);
+    };
+    
+    xhr.onabort = () => {
+      settle();
+      reject(createAbortError());
+    };
+    
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    
+    xhr.send(body);
+  });
+}
+
+/**
+ * Error for a non-2xx chunk response, carrying what the retry policy needs:
+ * status, the server's error code and Retry-After (ms)
+ */
+async function createResponseError(response) {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Not JSON (e.g. a proxy's error page): the status alone has to do
+  }
+  
+  const error = new Error(body.error || `HTTP ${response.status}`);
+  error.status = response.status;
+  error.code = body.code;
+  error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+  return error;
+}
+
 /**
  * Upload single chunk with retry logic
+ * Every failed attempt is reported to the concurrency controller. Under a
+ * bandwidth cap the chunk goes out in parts (X-Chunk-Offset), each waiting
+ * for the cap first; a retry sends it again from the start. Failures the
+ * retry policy calls fatal are thrown at once with error.fatal set.
+ * @param {Object} transfer - { signal, concurrency, limiter, onChunkProgress(chunkIndex, bytesSent) }
+ *   (bytesSent starts again from 0 on each attempt)
  */
-async function uploadChunk(uploadId, chunkIndex, chunkBlob, retryCount = 0) {
+async function uploadChunk(uploadId, chunkIndex, chunkBlob, transfer, retryCount = 0) {
+  const { signal, concurrency, limiter, onChunkProgress } = transfer;
+  
   // Calculate chunk hash for integrity verification
   const chunkHash = await calculateChunkHash(chunkBlob);
   
-  const formData = new FormData();
-  formData.append('uploadId', uploadId);
-  formData.append('chunkIndex', chunkIndex);
-  formData.append('chunkHash', chunkHash);
-  formData.append('chunk', chunkBlob, `chunk_${chunkIndex}`);
-  
   try {
-    const response = await fetch(`${API_BASE_URL}/upload/chunk`, {
-      method: 'POST',
-      body: formData
-    });
+    onChunkProgress(chunkIndex, 0);
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+    let partStart = 0;
+    let response;
     
-    return await response.json();
+    // The server answers 202 until a part reaches the end of the chunk
+    do {
+      const start = partStart;
+      const end = Math.min(chunkBlob.size, start + limiter.getPartSize(chunkBlob.size));
+      
+      await waitForBandwidth(limiter, end - start, signal);
+      
+      const headers = {
+        'Content-Type': 'application/octet-stream',
+        'X-Chunk-Hash': chunkHash
+      };
+      if (end - start < chunkBlob.size) {
+        headers['X-Chunk-Offset'] = String(start);
+      }
+      
+      // Raw body: the server streams it straight to the chunk's offset
+      response = await putWithProgress(`${API_BASE_URL}/upload/${uploadId}/chunks/${chunkIndex}`, headers,
+        chunkBlob.slice(start, end), signal, CHUNK_TIMEOUT, (bytesSent) => onChunkProgress(chunkIndex, start + bytesSent));
+      
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+      
+      partStart = end;
+    } while (response.status === 202);
+    
+    const result = await response.json();
+    concurrency.recordSuccess(chunkBlob.size);
+    return result;
     
   } catch (error) {
-    // Retry logic with exponential backoff
+    // Cancelled by the user: never retry
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    
+    if (!isRetryable(error)) {
+      error.fatal = true;
+      throw error;
+    }
+    
+    concurrency.recordFailure(error);
+    
     if (retryCount < MAX_RETRIES) {
-      const delay = RETRY_DELAYS[retryCount];
-      console.log(`Retrying chunk ${chunkIndex} after ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+      const delay = Math.round(getRetryDelay(error, retryCount));
+      console.log(`Retrying chunk ${chunkIndex} after ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES}): ${error.message}`);
       
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return uploadChunk(uploadId, chunkIndex, chunkBlob, retryCount + 1);
+      await sleep(delay, signal);
+      return uploadChunk(uploadId, chunkIndex, chunkBlob, transfer, retryCount + 1);
     }
     
     throw error;
   }
 }
 
+// Failures whose server message says which entries or rules were at fault
+const DETAILED_FAILURES = ['CORRUPT_ZIP_ENTRY', 'ZIP_POLICY_VIOLATION'];
+
+/**
+ * Error for an upload the server rejected during finalization
+ */
+function createFailureError(reason, message) {
+  const useServerMessage = message && DETAILED_FAILURES.includes(reason);
+  const error = new Error(
+    (useServerMessage ? message : FAILURE_MESSAGES[reason]) || message || 'Upload finalization failed'
+  );
+  error.reason = reason || 'INTERNAL_ERROR';
+  return error;
+}
+
+/**
+ * Same detail the server sends in its result event, rebuilt from the status row
+ */
+function getFailureDetail(upload) {
+  if (upload.policy_violations) {
+    const codes = new Set(upload.policy_violations.violations.map(v => v.code));
+    return `ZIP safety policy violated: ${[...codes].join(', ')}`;
+  }
+  
+  if (upload.zip_report && !upload.zip_report.passed) {
+    return `${upload.zip_report.failedEntries} of ${upload.zip_report.totalEntries} ZIP entries failed verification`;
+  }
+  
+  return undefined;
+}
+
+/**
+ * Poll upload status until server-side finalization finishes
+ * Fallback for when the event stream is unavailable
+ */
+async function pollFinalization(uploadId, signal, onFinalizeProgress) {
+  for (;;) {
+    const status = await getUploadStatus(uploadId, signal);
+    
+    if (!status) {
+      throw new Error('Upload not found on the server');
+    }
+    
+    const { upload } = status;
+    
+    if (upload.status === 'COMPLETED') {
+      return upload;
+    }
+    
+    if (upload.status === 'FAILED') {
+      throw createFailureError(upload.failure_reason, getFailureDetail(upload));
+    }
+    
+    if (upload.status === 'CANCELLED') {
+      throw createAbortError();
+    }
+    
+    onFinalizeProgress({ status: upload.status, percent: null });
+    
+    await sleep(FINALIZATION_POLL_INTERVAL, signal);
+  }
+}
+
+/**
+ * Wait for server-side finalization (hashing + ZIP validation) to finish
+ * Listens on GET /upload/:id/events; resolves on COMPLETED, throws with
+ * the failure reason on FAILED. Falls back to polling if the stream fails.
+ */
+function waitForFinalization(uploadId, signal, onFinalizeProgress = () => {}) {
+  if (!window.EventSource) {
+    return pollFinalization(uploadId, signal, onFinalizeProgress);
+  }
+  
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    
+    const source = new EventSource(`${API_BASE_URL}/upload/${uploadId}/events`);
+    
+    const stop = () => {
+      source.close();
+      signal.removeEventListener('abort', onAbort);
+    };
+    
+    const onAbort = () => {
+      stop();
+      reject(createAbortError());
+    };
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    
+    source.addEventListener('status-change', (event) => {
+      const { status } = JSON.parse(event.data);
+      onFinalizeProgress({ status, percent: null });
+    });
+    
+    source.addEventListener('hash-progress', (event) => {
+      const { percent } = JSON.parse(event.data);
+      onFinalizeProgress({ status: 'PROCESSING', percent });
+    });
+    
+    source.addEventListener('result', (event) => {
+      const result = JSON.parse(event.data);
+      stop();
+      
+      if (result.status === 'COMPLETED') {
+        resolve(result);
+      } else if (result.status === 'FAILED') {
+        reject(createFailureError(result.reason, result.error));
+      } else {
+        reject(createAbortError());
+      }
+    });
+    
+    // EventSource reconnects on its own; CLOSED means it gave up
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        stop();
+        pollFinalization(uploadId, signal, onFinalizeProgress).then(resolve, reject);
+      }
+    };
+  });
+}
+
+/**
+ * Cancel an upload on the server (DELETE /upload/:id)
+ * Stops it accepting chunks and removes the file
+ */
+async function cancelUpload(uploadId) {
+  const response = await fetch(`${API_BASE_URL}/upload/${uploadId}`, {
+    method: 'DELETE'
+  });
+  
+  if (!response.ok && response.status !== 404) {
+    const error = await response.json();
+    throw new Error(error.error || 'Upload cancellation failed');
+  }
+}
+
 /**
  * Main upload orchestrator
- * Implements queue-based concurrent upload with progress tracking
+ * Implements queue-based concurrent upload with progress tracking; the number
+ * of chunks in flight adapts to throughput and errors (transferControl.js)
+ *
+ * Returns a controller right away:
+ * - done: promise resolving to { uploadId, success } (rejects with AbortError on cancel)
+ * - pause(): in-flight chunks finish, no new chunks are taken from the queue
+ * - resume(): continue taking chunks
+ * - cancel(): abort in-flight requests and DELETE the upload on the server
+ * - setBandwidthLimit(bytesPerSecond): change the cap (null for unlimited)
+ *
+ * Pass options.resumeFrom (a record from uploadStore) to continue an upload
+ * that was interrupted by a reload; the file must match its fingerprint.
+ * options.deepVerify asks the server to CRC-check every ZIP entry.
+ * options.bandwidthLimit caps the upload rate in bytes per second.
+ * callbacks.onConcurrencyChange(limit) reports the current number of parallel chunks.
+ * callbacks.onBytesProgress({ resumedBytes, uploadedBytes, sentBytes, totalBytes })
+ * reports byte-accurate progress a few times a second:
+ * - resumedBytes: already on the server when this session started
+ * - uploadedBytes: sent this session, counting chunks in flight as far as they got
+ *   (an attempt that fails stops counting)
+ * - sentBytes: everything put on the wire this session, retries included;
+ *   never decreases, so it is the one to measure speed with
  */
-async function uploadFile(file, callbacks = {}) {
+function uploadFile(file, callbacks = {}, { resumeFrom = null, deepVerify, bandwidthLimit = null } = {}) {
+  const abortController = new AbortController();
+  const { signal } = abortController;
+  
+  const limiter = createBandwidthLimiter(bandwidthLimit);
+  const concurrency = createConcurrencyController({
+    onChange: callbacks.onConcurrencyChange
+  });
+  
+  let paused = false;
+  let resumeWaiters = [];
+  let uploadId = null;
+  
+  // Resolves immediately unless paused; rejects if cancelled while paused
+  const waitWhilePaused = () => new Promise((resolve, reject) => {
+    if (!paused) {
+      return resolve();
+    }
+    throwIfAborted(signal);
+    
+    const onAbort = () => {
+      resumeWaiters = resumeWaiters.filter(waiter => waiter !== onResume);
+      reject(createAbortError());
+    };
+    
+    const onResume = () => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    
+    resumeWaiters.push(onResume);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  
+  const done = runUpload(file, callbacks, {
+    signal,
+    resumeFrom,
+    deepVerify,
+    waitWhilePaused,
+    concurrency,
+    limiter,
+    onUploadId: (id) => {
+      uploadId = id;
+    }
+  });
+  
+  return {
+    done,
+    
+    pause() {
+      if (!paused) {
+        paused = true;
+        console.log('⏸ Upload paused');
+      }
+    },
+    
+    resume() {
+      if (paused) {
+        paused = false;
+        console.log('▶️ Upload resumed');
+        resumeWaiters.forEach(resolve => resolve());
+        resumeWaiters = [];
+      }
+    },
+    
+    async cancel() {
+      // Stop in-flight requests first so no chunk lands after the DELETE
+      abortController.abort();
+      
+      if (uploadId) {
+        await cancelUpload(uploadId);
+      }
+    },
+    
+    isPaused() {
+      return paused;
+    },
+    
+    setBandwidthLimit(bytesPerSecond) {
+      limiter.setRate(bytesPerSecond);
+    }
+  };
+}
+
+async function runUpload(file, callbacks, {
+  signal,
+  resumeFrom,
+  deepVerify,
+  waitWhilePaused,
+  concurrency,
+  limiter,
+  onUploadId
+}) {
   const {
     onProgress = () => {},
+    onBytesProgress = () => {},
     onChunkComplete = () => {},
     onChunkError = () => {},
+    onInit = () => {},
+    onHashProgress = () => {},
+    onFinalizeProgress = () => {},
     onComplete = () => {},
     onError = () => {}
   } = callbacks;
   
+  let uploadId = null;
+  
   try {
-    // Step 1: Calculate total chunks
-    const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-    console.log(`📦 File: ${file.name} (${file.size} bytes, ${totalChunks} chunks)`);
+    console.log(`📦 File: ${file.name} (${file.size} bytes)`);
+    
+    if (resumeFrom && !matchesFile(resumeFrom, file)) {
+      throw new Error(`Please select ${resumeFrom.filename} (${resumeFrom.size} bytes) to resume this upload`);
+    }
     
-    // Step 2: Calculate file hash (for integrity check)
+    // Step 1: Calculate file hash (for integrity check)
     console.log('🔐 Calculating file hash...');
-    const fileHash = await calculateFileHash(file);
+    const fileHash = await calculateFileHash(file, signal, onHashProgress);
     console.log(`Hash: ${fileHash.substring(0, 16)}...`);
     
-    // Step 3: Initialize upload
-    console.log('🚀 Initializing upload...');
-    const { uploadId, uploadedChunks } = await initializeUpload(file, fileHash);
-    console.log(`Upload ID: ${uploadId}`);
+    // Step 2: Initialize upload (server picks the chunk size), or pick up a stored one
+    console.log(resumeFrom ? '🔁 Resuming interrupted upload...' : '🚀 Initializing upload...');
+    const session = resumeFrom
+      ? await resumeStoredUpload(resumeFrom, fileHash, signal)
+      : await initializeUpload(file, fileHash, deepVerify, signal);
+    const {
+      chunkSize,
+      totalChunks,
+      uploadedChunks,
+      resumed,
+      deduplicated
+    } = session;
+    uploadId = session.uploadId;
+    console.log(`Upload ID: ${uploadId}${resumed ? ' (resumed)' : ''}`);
+    console.log(`Chunks: ${totalChunks} x ${chunkSize} bytes`);
+    if (deduplicated) {
+      console.log('♻️ Identical file already on server, nothing to upload');
+    }
     console.log(`Already uploaded: ${uploadedChunks.length} chunks`);
+    onUploadId(uploadId);
+    
+    // Chunks the server already has start out green in the grid
+    const chunkStates = new Array(totalChunks).fill('pending');
+    uploadedChunks.forEach(index => {
+      chunkStates[index] = 'success';
+    });
     
-    // Step 4: Build chunk queue (skip already uploaded)
+    onInit({ uploadId, chunkSize, totalChunks, chunkStates });
+    
+    // Survive a reload: enough to recognise the file and find the upload again
+    if (!deduplicated) {
+      await rememberUpload({
+        uploadId,
+        filename: file.name,
+        size: file.size,
+        fileHash,
+        chunkSize,
+        totalChunks,
+        ...(resumeFrom && { createdAt: resumeFrom.createdAt })
+      });
+    }
+    
+    // Step 3: Build chunk queue (skip already uploaded)
     const uploadedSet = new Set(uploadedChunks);
     const chunkQueue = [];
     
@@ -163,89 +761,223 @@ async function uploadFile(file, callbacks = {}) {
     
     console.log(`📋 Chunks to upload: ${chunkQueue.length}/${totalChunks}`);
     
-    // Step 5: Upload chunks with concurrency control
-    const chunkStates = new Array(totalChunks).fill('pending');
-    uploadedChunks.forEach(index => {
-      chunkStates[index] = 'success';
-    });
-    
-    let uploadedCount = uploadedChunks.length;
-    let queueIndex = 0;
-    const activeUploads = new Set();
+    // Byte accounting: chunks the server had before this session count separately
+    const getChunkLength = (index) => Math.min(chunkSize, file.size - index * chunkSize);
+    const resumedBytes = uploadedChunks.reduce((sum, index) => sum + getChunkLength(index), 0);
+    const chunkBytesSent = new Map();
+    let confirmedBytes = 0;
+    let sentBytes = 0;
+    let lastByteReport = 0;
     
-    const uploadNextChunk = async () => {
-      if (queueIndex >= chunkQueue.length) {
+    const reportBytes = (force = false) => {
+      const now = Date.now();
+      if (!force && now - lastByteReport < BYTE_PROGRESS_INTERVAL) {
         return;
       }
+      lastByteReport = now;
       
-      const chunkIndex = chunkQueue[queueIndex++];
-      activeUploads.add(chunkIndex);
+      let uploadedBytes = confirmedBytes;
+      chunkBytesSent.forEach(bytes => {
+        uploadedBytes += bytes;
+      });
+      
+      onBytesProgress({ resumedBytes, uploadedBytes, sentBytes, totalBytes: file.size });
+    };
+    
+    const onChunkProgress = (chunkIndex, bytesSent) => {
+      const previous = chunkBytesSent.get(chunkIndex) || 0;
+      
+      // A new attempt starts again from 0; bytes already sent stay in sentBytes
+      if (bytesSent > previous) {
+        sentBytes += bytesSent - previous;
+      }
       
+      chunkBytesSent.set(chunkIndex, Math.min(bytesSent, getChunkLength(chunkIndex)));
+      reportBytes();
+    };
+    
+    reportBytes(true);
+    
+    // Step 4: Upload chunks, as many at a time as the concurrency controller allows
+    let uploadedCount = uploadedChunks.length;
+    let fatalError = null;
+    const inFlight = new Set();
+    const transfer = { signal, concurrency, limiter, onChunkProgress };
+    
+    const uploadNextChunk = async (chunkIndex) => {
       chunkStates[chunkIndex] = 'uploading';
       onChunkComplete(chunkIndex, 'uploading', chunkStates);
       
       try {
         // Extract chunk from file
-        const start = chunkIndex * CHUNK_SIZE;
-        const end = Math.min(start + CHUNK_SIZE, file.size);
+        const start = chunkIndex * chunkSize;
+        const end = Math.min(start + chunkSize, file.size);
         const chunkBlob = file.slice(start, end);
         
         // Upload chunk
-        await uploadChunk(uploadId, chunkIndex, chunkBlob);
+        await uploadChunk(uploadId, chunkIndex, chunkBlob, transfer);
         
         chunkStates[chunkIndex] = 'success';
         uploadedCount++;
+        chunkBytesSent.delete(chunkIndex);
+        confirmedBytes += chunkBlob.size;
         
         onChunkComplete(chunkIndex, 'success', chunkStates);
         onProgress(uploadedCount, totalChunks);
+        reportBytes(true);
         
       } catch (error) {
+        chunkBytesSent.delete(chunkIndex);
+        
+        if (error.name === 'AbortError') {
+          chunkStates[chunkIndex] = 'pending';
+          return;
+        }
+        
         chunkStates[chunkIndex] = 'error';
         onChunkError(chunkIndex, error.message, chunkStates);
+        reportBytes(true);
         console.error(`❌ Chunk ${chunkIndex} failed:`, error.message);
-      } finally {
-        activeUploads.delete(chunkIndex);
         
-        // Upload next chunk
-        if (queueIndex < chunkQueue.length) {
-          await uploadNextChunk();
+        // No point sending more chunks; the ones in flight finish
+        if (error.fatal && !fatalError) {
+          fatalError = error;
         }
       }
     };
     
-    // Start concurrent uploads
-    const initialBatch = Math.min(MAX_CONCURRENT_UPLOADS, chunkQueue.length);
-    await Promise.all(
-      Array(initialBatch).fill(null).map(() => uploadNextChunk())
-    );
+    const uploadQueue = async (queue) => {
+      let queueIndex = 0;
+      
+      while (queueIndex < queue.length && !signal.aborted && !fatalError) {
+        // Paused: in-flight chunks finish, new ones wait here
+        await waitWhilePaused();
+        
+        // The limit may have dropped below what is in flight; wait for a slot
+        if (inFlight.size >= concurrency.getLimit()) {
+          await Promise.race(inFlight);
+          continue;
+        }
+        
+        const task = uploadNextChunk(queue[queueIndex++]).finally(() => inFlight.delete(task));
+        inFlight.add(task);
+      }
+      
+      // Wait for all uploads to complete
+      await Promise.all(inFlight);
+    };
+    
+    const getFailedChunks = () => chunkStates
+      .map((state, index) => ({ state, index }))
+      .filter(({ state }) => state === 'error')
+      .map(({ index }) => index);
     
-    // Wait for all uploads to complete
-    while (activeUploads.size > 0) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+    await uploadQueue(chunkQueue);
+    
+    // Final sweep: chunks that ran out of retries get another go once the queue has drained
+    for (let sweep = 1; sweep <= MAX_SWEEPS && !fatalError; sweep++) {
+      const failedChunks = getFailedChunks();
+      if (failedChunks.length === 0) {
+        break;
+      }
+      
+      console.log(`🔁 Re-queueing ${failedChunks.length} failed chunks (sweep ${sweep}/${MAX_SWEEPS})`);
+      await sleep(SWEEP_DELAY, signal);
+      
+      failedChunks.forEach(index => {
+        chunkStates[index] = 'pending';
+      });
+      onChunkComplete(failedChunks[0], 'pending', chunkStates);
+      
+      await uploadQueue(failedChunks);
     }
     
-    // Step 6: Check if all succeeded
-    const failedChunks = chunkStates
-      .map((state, index) => ({ state, index }))
-      .filter(({ state }) => state === 'error');
+    throwIfAborted(signal);
+    
+    if (fatalError) {
+      throw fatalError;
+    }
+    
+    // Step 5: Check if all succeeded
+    const failedChunks = getFailedChunks();
     
     if (failedChunks.length > 0) {
       throw new Error(`${failedChunks.length} chunks failed to upload`);
     }
     
     console.log('✅ All chunks uploaded successfully');
+    
+    // Step 6: Wait for hash and ZIP verification on the server
+    console.log('🔎 Waiting for server-side verification...');
+    await waitForFinalization(uploadId, signal, onFinalizeProgress);
+    await forgetUpload(uploadId);
+    
     onComplete(uploadId);
     
     return { uploadId, success: true };
     
   } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('🛑 Upload cancelled');
+      if (uploadId) {
+        await forgetUpload(uploadId);
+      }
+      throw error;
+    }
+    
+    // Finalization rejected the file; resuming it again cannot help
+    if (error.reason && uploadId) {
+      await forgetUpload(uploadId);
+    }
+    
     console.error('❌ Upload failed:', error);
     onError(error.message);
     throw error;
   }
 }
 
+/**
+ * URL of the completed file (GET /upload/:id/download)
+ */
+function getDownloadUrl(uploadId) {
+  return `${API_BASE_URL}/upload/${uploadId}/download`;
+}
+
+/**
+ * URL of one decompressed ZIP entry (GET /upload/:id/entries/*)
+ * Each path segment is encoded on its own so the slashes survive.
+ */
+function getEntryUrl(uploadId, entryName) {
+  const entryPath = entryName.split('/').map(encodeURIComponent).join('/');
+  return `${API_BASE_URL}/upload/${uploadId}/entries/${entryPath}`;
+}
+
+/**
+ * List the entries of a completed ZIP upload (GET /upload/:id/contents)
+ * @param {Object} query - offset, limit, prefix, glob, sort, order, tree, depth
+ */
+async function getZipContents(uploadId, query, signal) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  }
+  
+  const response = await fetch(`${API_BASE_URL}/upload/${uploadId}/contents?${params}`, { signal });
+  
+  if (!response.ok) {
+    throw new Error(`Listing ZIP contents failed: HTTP ${response.status}`);
+  }
+  
+  return await response.json();
+}
+
 export {
   uploadFile,
-  calculateFileHash
+  cancelUpload,
+  calculateFileHash,
+  getDownloadUrl,
+  getEntryUrl,
+  getZipContents
 };
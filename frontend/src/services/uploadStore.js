@@ -0,0 +1,97 @@
+/**
+ * Upload Store - Interrupted uploads persisted in IndexedDB
+ *
+ * A File handle cannot be stored, so each record keeps what is needed to
+ * recognise the file again when the user re-selects it after a reload:
+ * { uploadId, filename, size, fileHash, chunkSize, totalChunks, createdAt, updatedAt }
+ */
+
+const DB_NAME = 'chunked-upload';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploads';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'uploadId' });
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    // Let a later call retry instead of caching the failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the store and resolve with its result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Save (or update) an in-progress upload
+ */
+async function saveUpload(record) {
+  const now = Date.now();
+  await withStore('readwrite', store => store.put({
+    createdAt: now,
+    ...record,
+    updatedAt: now
+  }));
+}
+
+/**
+ * All interrupted uploads, most recently active first
+ */
+async function listUploads() {
+  const records = await withStore('readonly', store => store.getAll());
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function removeUpload(uploadId) {
+  await withStore('readwrite', store => store.delete(uploadId));
+}
+
+/**
+ * Cheap check before hashing; the stored SHA-256 is what actually decides
+ */
+function matchesFile(record, file) {
+  return record.filename === file.name && record.size === file.size;
+}
+
+export {
+  saveUpload,
+  listUploads,
+  removeUpload,
+  matchesFile
+};